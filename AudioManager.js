@@ -0,0 +1,234 @@
+// 効果音 (すべてオシレーター・ノイズで合成)
+// master ← effects (銃声・足音など) / ui (ボタン) のバスに分け、音量は設定で変える
+// position を渡した音は PannerNode で鳴らすので、相手の銃声・足音の方向と距離が分かる
+// AudioContext はブラウザの制限でユーザー操作 (最初のクリック・キー) の後に作る
+const PANNER_CONFIG = {
+    panningModel: 'HRTF',
+    distanceModel: 'inverse',
+    refDistance: 3,     // この距離までは減衰しない
+    maxDistance: 100,
+    rolloffFactor: 1.2
+};
+
+// 足音: 地面を一定距離進むごとに鳴らす (しゃがみ歩き程度の速さなら鳴らない)
+// 接地の有無が分からない相手は縦の速さから推定する
+export const FOOTSTEP_CONFIG = {
+    stride: 2.6,        // m
+    minSpeed: 10,       // m/s, これより遅い移動は無音
+    groundedSpeed: 6,   // m/s, 推定時: 縦の速さがこれ以下なら接地中
+    landSpeed: 20,      // m/s, これ以上の速さで落ちて接地したら着地音
+    teleport: 5         // m, 1 フレームでこれ以上動いたら瞬間移動として数えない
+};
+
+// name → (ctx, out, when, options) で out に音を鳴らす
+const SOUNDS = {
+    shoot: (ctx, out, when) => {
+        tone(ctx, out, when, { type: 'square', from: 220, to: 40, gain: 0.08, duration: 0.1 });
+        noise(ctx, out, when, { gain: 0.05, duration: 0.06, filter: 2500 });
+    },
+    hit: (ctx, out, when, { headshot = false } = {}) => {
+        tone(ctx, out, when, { type: headshot ? 'triangle' : 'sine', from: headshot ? 1600 : 900, gain: 0.1, duration: 0.05 });
+    },
+    damage: (ctx, out, when) => {
+        tone(ctx, out, when, { type: 'sawtooth', from: 160, to: 70, gain: 0.09, duration: 0.18 });
+        noise(ctx, out, when, { gain: 0.06, duration: 0.1, filter: 900 });
+    },
+    footstep: (ctx, out, when, { gain = 0.06 } = {}) => {
+        noise(ctx, out, when, { gain, duration: 0.07, filter: 500 + Math.random() * 300 });
+    },
+    jump: (ctx, out, when, { gain = 0.05 } = {}) => {
+        noise(ctx, out, when, { gain, duration: 0.08, filter: 700 });
+    },
+    land: (ctx, out, when, { gain = 0.1 } = {}) => {
+        noise(ctx, out, when, { gain, duration: 0.12, filter: 350 });
+        tone(ctx, out, when, { type: 'sine', from: 90, to: 45, gain: gain * 0.8, duration: 0.12 });
+    },
+    reload: (ctx, out, when) => {
+        // マガジンを抜く音と挿す音
+        tone(ctx, out, when, { type: 'square', from: 1200, to: 600, gain: 0.03, duration: 0.03 });
+        noise(ctx, out, when + 0.25, { gain: 0.05, duration: 0.04, filter: 3000 });
+        tone(ctx, out, when + 0.25, { type: 'square', from: 700, to: 1400, gain: 0.03, duration: 0.04 });
+    },
+    hover: (ctx, out, when) => {
+        tone(ctx, out, when, { type: 'sine', from: 440, gain: 0.02, end: 0.001, duration: 0.05 });
+    }
+};
+
+export class AudioManager {
+    constructor() {
+        this.ctx = null;
+        this.buses = null;
+        this.volumes = { master: 0.8, effects: 1, ui: 1 };
+
+        const unlock = () => this.init();
+        document.addEventListener('click', unlock, { once: true });
+        document.addEventListener('keydown', unlock, { once: true });
+    }
+
+    init() {
+        if (this.ctx) return;
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        this.ctx = new AudioContext();
+
+        const master = this.ctx.createGain();
+        master.connect(this.ctx.destination);
+        const effects = this.ctx.createGain();
+        effects.connect(master);
+        const ui = this.ctx.createGain();
+        ui.connect(master);
+        this.buses = { master, effects, ui };
+        this.applyVolumes();
+    }
+
+    // 設定 (Settings.values) の音量を反映する
+    applySettings(settings) {
+        this.volumes = { master: settings.volume, effects: settings.effectsVolume, ui: settings.uiVolume };
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.buses) return;
+        for (const [bus, gain] of Object.entries(this.buses)) gain.gain.value = this.volumes[bus];
+    }
+
+    // 聞いている位置と向き (毎フレーム、カメラに合わせる)
+    updateListener(camera) {
+        if (!this.ctx) return;
+        const listener = this.ctx.listener;
+        const { x, y, z } = camera.position;
+        const e = camera.matrixWorld.elements;
+        // カメラの前方 (-Z) と上方 (+Y)
+        const forward = [-e[8], -e[9], -e[10]];
+        const up = [e[4], e[5], e[6]];
+        if (listener.positionX) {
+            const t = this.ctx.currentTime;
+            listener.positionX.setValueAtTime(x, t);
+            listener.positionY.setValueAtTime(y, t);
+            listener.positionZ.setValueAtTime(z, t);
+            listener.forwardX.setValueAtTime(forward[0], t);
+            listener.forwardY.setValueAtTime(forward[1], t);
+            listener.forwardZ.setValueAtTime(forward[2], t);
+            listener.upX.setValueAtTime(up[0], t);
+            listener.upY.setValueAtTime(up[1], t);
+            listener.upZ.setValueAtTime(up[2], t);
+        } else {
+            // 古い Safari
+            listener.setPosition(x, y, z);
+            listener.setOrientation(...forward, ...up);
+        }
+    }
+
+    // name の音を鳴らす
+    // options: bus ('effects' | 'ui'), position ({x, y, z}, 指定すると立体音響), 音ごとの追加の値
+    play(name, options = {}) {
+        if (!this.ctx || !SOUNDS[name]) return;
+        let out = this.buses[options.bus || 'effects'];
+        if (options.position) {
+            const panner = this.ctx.createPanner();
+            Object.assign(panner, PANNER_CONFIG);
+            const { x, y, z } = options.position;
+            if (panner.positionX) {
+                panner.positionX.value = x;
+                panner.positionY.value = y;
+                panner.positionZ.value = z;
+            } else {
+                panner.setPosition(x, y, z);
+            }
+            panner.connect(out);
+            out = panner;
+        }
+        SOUNDS[name](this.ctx, out, this.ctx.currentTime, options);
+    }
+}
+
+// 位置の変化から足音・ジャンプ・着地を見つける
+export class FootstepTracker {
+    constructor(config = FOOTSTEP_CONFIG) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.last = null;
+        this.distance = 0;
+        this.grounded = true;
+        this.fallSpeed = 0;
+    }
+
+    // pos: プレイヤーの位置, onGround: 分からなければ null
+    // 鳴らす音の名前 ('footstep' | 'jump' | 'land') か null を返す
+    update(pos, delta, onGround = null) {
+        const last = this.last;
+        this.last = { x: pos.x, y: pos.y, z: pos.z };
+        if (!last || delta <= 0) return null;
+
+        const horizontal = Math.hypot(pos.x - last.x, pos.z - last.z);
+        if (horizontal > this.config.teleport) {
+            this.reset();
+            this.last = { x: pos.x, y: pos.y, z: pos.z };
+            return null;
+        }
+        const vy = (pos.y - last.y) / delta;
+        const grounded = onGround ?? Math.abs(vy) <= this.config.groundedSpeed;
+        const wasGrounded = this.grounded;
+        const fallSpeed = this.fallSpeed;
+        this.grounded = grounded;
+        this.fallSpeed = grounded ? 0 : Math.max(fallSpeed, -vy);
+
+        if (grounded && !wasGrounded) {
+            this.distance = 0;
+            return fallSpeed >= this.config.landSpeed ? 'land' : null;
+        }
+        if (!grounded) return wasGrounded && vy > 0 ? 'jump' : null;
+        if (horizontal / delta < this.config.minSpeed) return null;
+
+        this.distance += horizontal;
+        if (this.distance < this.config.stride) return null;
+        this.distance -= this.config.stride;
+        return 'footstep';
+    }
+}
+
+// --- Synthesis ---
+// 周波数 from → to (指定時) に変化させながら、gain から減衰する音
+function tone(ctx, out, when, { type, from, to = null, gain, end = 0.01, duration }) {
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+    o.type = type;
+    o.frequency.setValueAtTime(from, when);
+    if (to) o.frequency.exponentialRampToValueAtTime(to, when + duration);
+    g.gain.setValueAtTime(gain, when);
+    g.gain.exponentialRampToValueAtTime(end, when + duration);
+    o.connect(g);
+    g.connect(out);
+    o.start(when);
+    o.stop(when + duration);
+}
+
+// ローパスをかけたノイズ (足音・着地・金属音)
+function noise(ctx, out, when, { gain, duration, filter }) {
+    const source = ctx.createBufferSource();
+    source.buffer = noiseBuffers.get(ctx) || createNoiseBuffer(ctx);
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = filter;
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(gain, when);
+    g.gain.exponentialRampToValueAtTime(0.001, when + duration);
+    source.connect(lowpass);
+    lowpass.connect(g);
+    g.connect(out);
+    source.start(when);
+    source.stop(when + duration);
+}
+
+const noiseBuffers = new WeakMap();
+
+function createNoiseBuffer(ctx) {
+    const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.5), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+    return buffer;
+}
@@ -0,0 +1,417 @@
+import * as THREE from 'three';
+import { WEAPONS, Weapon, shotDirections } from './Weapons.js';
+import { MOVEMENT_CONFIG, TICK_RATE, MAX_TICKS_PER_FRAME } from './PlayerSimulation.js';
+import { encodeKeys } from './NetworkManager.js';
+
+// オフライン対戦のボット
+// ゲストの代わりに入力コマンドと射撃をホスト (NetworkManager) に渡すだけなので、
+// 移動・被弾・死亡・復活は対人戦と同じ処理を通る
+// reactionTime: ms, 相手の位置をこれだけ遅れて知り、見つけてからこれだけ待って撃ち始める
+// aimError: 狙いのぶれ (ラジアン), trackingSpeed: 照準を回す速さ (ラジアン / 秒)
+// strafeInterval: 左右に切り返す間隔 (秒)
+export const BOT_DIFFICULTY = {
+    easy: { name: 'イージー', reactionTime: 600, aimError: 0.08, trackingSpeed: 2.5, headshotChance: 0, strafeInterval: [0.8, 1.6] },
+    normal: { name: 'ノーマル', reactionTime: 350, aimError: 0.04, trackingSpeed: 5, headshotChance: 0.1, strafeInterval: [0.4, 1.0] },
+    hard: { name: 'ハード', reactionTime: 200, aimError: 0.015, trackingSpeed: 9, headshotChance: 0.3, strafeInterval: [0.25, 0.6] }
+};
+
+const BOT_CONFIG = {
+    weapon: 'rifle',
+    respawnDelay: 3000,     // ms
+    engageRange: [8, 25],   // 交戦中はこの距離を保とうとする
+    fireCone: 0.05,         // rad, 狙いとのずれがこれ以下なら撃つ (aimError を足す)
+    aimRefresh: 0.5,        // sec, 狙いのぶれを選び直す間隔
+    memory: 8000,           // ms, 見失った位置を覚えておく時間
+    navCell: 2,             // 経路探索の格子の大きさ
+    repathInterval: 0.5,    // sec
+    stuckTime: 1.0          // sec, この間ほとんど進まなければジャンプして経路を探し直す
+};
+
+export class Bot {
+    constructor(network, difficulty = 'normal', config = BOT_CONFIG) {
+        this.network = network;
+        this.world = network.player.world;
+        this.difficulty = BOT_DIFFICULTY[difficulty] || BOT_DIFFICULTY.normal;
+        this.config = config;
+        this.seq = 0;
+        this.accumulator = 0;
+        this.epoch = null;
+        this.nav = null;
+        this.reset();
+    }
+
+    get sim() {
+        return this.network.remoteSim;
+    }
+
+    get eye() {
+        const { pos, eyeHeight } = this.sim;
+        return new THREE.Vector3(pos.x, pos.y + eyeHeight, pos.z);
+    }
+
+    // 出現・瞬間移動のたびに記憶と武器を初期化する
+    reset() {
+        this.weapon = new Weapon(WEAPONS[this.config.weapon]);
+        const { pos } = this.sim;
+        this.yaw = Math.atan2(pos.x, pos.z); // マップの中心を向く
+        this.pitch = 0;
+        this.target = null;
+        this.spottedAt = null;
+        this.lastSeen = null;
+        this.lastSeenAt = -Infinity;
+        this.aimOffset = new THREE.Vector3();
+        this.aimHead = false;
+        this.aimRefreshIn = 0;
+        this.strafeDir = Math.random() < 0.5 ? -1 : 1;
+        this.strafeIn = 0;
+        this.path = [];
+        this.repathIn = 0;
+        this.stuckCheck = { time: 0, pos: new THREE.Vector3(pos.x, pos.y, pos.z) };
+        this.respawnAt = null;
+    }
+
+    update(delta) {
+        const net = this.network;
+        const now = performance.now();
+        if (net.inputEpoch !== this.epoch) {
+            this.epoch = net.inputEpoch;
+            this.reset();
+        }
+
+        // 試合が終わったらいつでもリマッチに応じる
+        const match = net.match;
+        if (match && match.state === 'matchEnd' && !match.rematch.guest) {
+            match.onReceive({ type: 'match', request: 'rematch' });
+        }
+
+        if (net.vitals.guest.isDead) {
+            this.waitRespawn(now);
+            return;
+        }
+        this.respawnAt = null;
+
+        this.weapon.update(now);
+        this.perceive(now);
+        const input = this.think(delta, now);
+        this.sendInput(input, delta, now);
+        this.tryShoot(now);
+    }
+
+    // 固定ティック分の入力コマンドをホストの処理にそのまま渡す
+    sendInput(input, delta, now) {
+        this.accumulator = Math.min(this.accumulator + delta, MAX_TICKS_PER_FRAME / TICK_RATE);
+        const ticks = Math.floor(this.accumulator * TICK_RATE);
+        if (!ticks) return;
+        this.accumulator -= ticks / TICK_RATE;
+
+        const keys = encodeKeys(input);
+        const cmds = [];
+        for (let i = 0; i < ticks; i++) {
+            const t = now - (ticks - 1 - i) * 1000 / TICK_RATE;
+            cmds.push({ seq: ++this.seq, t, keys, yaw: this.yaw, pitch: this.pitch });
+        }
+        this.network.onInput({ epoch: this.network.inputEpoch, cmds });
+    }
+
+    // キル制・試合前は倒されても少し待って復活する (ラウンド制は次のラウンドまで待つ)
+    waitRespawn(now) {
+        const match = this.network.match;
+        if (match && !match.respawnsOnDeath()) return;
+        if (this.respawnAt === null) this.respawnAt = now + this.config.respawnDelay;
+        if (now < this.respawnAt) return;
+        this.respawnAt = null;
+        this.network.onRemoteRespawn();
+    }
+
+    // --- Perception ---
+    // 相手 (ホスト) の位置は reactionTime だけ前のものしか分からない
+    perceive(now) {
+        const net = this.network;
+        const seen = net.localHistory.sample(now - this.difficulty.reactionTime);
+        if (seen && !net.vitals.host.isDead && this.canSee(seen.pos)) {
+            if (this.spottedAt === null) this.spottedAt = now;
+            this.target = seen.pos;
+            this.lastSeen = seen.pos.clone();
+            this.lastSeenAt = now;
+        } else {
+            this.target = null;
+            this.spottedAt = null;
+        }
+    }
+
+    canSee(point) {
+        const eye = this.eye;
+        const dir = point.clone().sub(eye);
+        const dist = dir.length();
+        if (dist < 0.001) return true;
+        return this.world.intersectRay(new THREE.Ray(eye, dir.divideScalar(dist))) >= dist;
+    }
+
+    // --- Movement ---
+    think(delta, now) {
+        const input = { forward: false, backward: false, left: false, right: false, jump: false, sprint: false, crouch: false };
+        const pos = this.sim.pos;
+        let moveDir = null;
+
+        if (this.target) {
+            // 交戦: 距離を保ちながら左右に切り返す
+            this.turnToward(this.aimPoint(delta), delta);
+            const toTarget = new THREE.Vector3(this.target.x - pos.x, 0, this.target.z - pos.z);
+            const dist = toTarget.length();
+            toTarget.divideScalar(dist || 1);
+
+            this.strafeIn -= delta;
+            if (this.strafeIn <= 0) {
+                this.strafeDir = Math.random() < 0.7 ? -this.strafeDir : this.strafeDir;
+                const [min, max] = this.difficulty.strafeInterval;
+                this.strafeIn = min + Math.random() * (max - min);
+            }
+            const [near, far] = this.config.engageRange;
+            const approach = dist > far ? 1 : (dist < near ? -1 : 0);
+            moveDir = new THREE.Vector3(-toTarget.z, 0, toTarget.x).multiplyScalar(this.strafeDir).addScaledVector(toTarget, approach);
+            this.path = [];
+        } else {
+            // 見失ったら最後に見た位置へ (角から覗き込む)、覚えていなければ相手の今の位置を探しに行く
+            let goal = now - this.lastSeenAt < this.config.memory ? this.lastSeen : null;
+            if (!goal || distanceXZ(goal, pos) < 1.5) {
+                const latest = this.network.localHistory.latest();
+                goal = latest && !this.network.vitals.host.isDead ? latest.pos : null;
+            }
+            moveDir = goal ? this.followPath(goal, delta) : null;
+            if (moveDir) {
+                const ahead = this.eye.addScaledVector(moveDir, 10);
+                this.turnToward(ahead, delta);
+                input.sprint = true;
+            }
+        }
+
+        if (moveDir && moveDir.lengthSq() > 0.01) {
+            moveDir.normalize();
+            this.applyMove(input, moveDir);
+            input.jump = this.checkStuck(delta);
+        }
+        return input;
+    }
+
+    // ワールドの移動方向を、今の向きに対する前後左右のキーに直す
+    applyMove(input, dir) {
+        const forward = -Math.sin(this.yaw) * dir.x - Math.cos(this.yaw) * dir.z;
+        const right = Math.cos(this.yaw) * dir.x - Math.sin(this.yaw) * dir.z;
+        input.forward = forward > 0.38;
+        input.backward = forward < -0.38;
+        input.right = right > 0.38;
+        input.left = right < -0.38;
+        if (!input.forward) input.sprint = false;
+    }
+
+    checkStuck(delta) {
+        const check = this.stuckCheck;
+        check.time += delta;
+        if (check.time < this.config.stuckTime) return false;
+
+        const pos = this.sim.pos;
+        const stuck = distanceXZ(check.pos, pos) < 1;
+        check.time = 0;
+        check.pos.set(pos.x, pos.y, pos.z);
+        if (stuck) this.repathIn = 0;
+        return stuck;
+    }
+
+    followPath(goal, delta) {
+        if (!this.nav || this.nav.world !== this.world || this.nav.boxCount !== this.world.boxes.length) {
+            this.nav = buildNavGrid(this.world, this.config.navCell);
+        }
+        const pos = this.sim.pos;
+
+        this.repathIn -= delta;
+        if (this.repathIn <= 0) {
+            this.path = findPath(this.nav, pos, goal);
+            this.repathIn = this.config.repathInterval;
+        }
+        while (this.path.length && distanceXZ(this.path[0], pos) < 0.8) this.path.shift();
+
+        const next = this.path.length ? this.path[0] : goal;
+        const dir = new THREE.Vector3(next.x - pos.x, 0, next.z - pos.z);
+        return dir.lengthSq() > 0.25 ? dir : null;
+    }
+
+    // --- Aiming ---
+    // 胴体 (たまに頭) を狙い、一定時間ごとに選び直すぶれを加える
+    aimPoint(delta) {
+        this.aimRefreshIn -= delta;
+        if (this.aimRefreshIn <= 0) {
+            this.aimRefreshIn = this.config.aimRefresh;
+            this.aimHead = Math.random() < this.difficulty.headshotChance;
+            const dist = this.target.distanceTo(this.eye);
+            this.aimOffset.randomDirection().multiplyScalar(this.difficulty.aimError * dist * Math.random());
+        }
+        return this.target.clone().add(this.aimOffset).setY(this.target.y + this.aimOffset.y - (this.aimHead ? 0.05 : 0.55));
+    }
+
+    turnToward(point, delta) {
+        const { yaw, pitch } = anglesTo(this.eye, point);
+        const step = this.difficulty.trackingSpeed * delta;
+        let dyaw = yaw - this.yaw;
+        dyaw = Math.atan2(Math.sin(dyaw), Math.cos(dyaw));
+        this.yaw += THREE.MathUtils.clamp(dyaw, -step, step);
+        this.pitch += THREE.MathUtils.clamp(pitch - this.pitch, -step, step);
+    }
+
+    tryShoot(now) {
+        const net = this.network;
+        const match = net.match;
+        if (!this.target || this.spottedAt === null || now - this.spottedAt < this.difficulty.reactionTime) return;
+        if (match && match.state !== 'idle' && !match.isLive()) return;
+
+        if (this.weapon.ammo === 0) {
+            this.weapon.startReload(now);
+            return;
+        }
+        if (!this.weapon.canFire(now)) return;
+
+        // 照準が狙いに十分近い時だけ撃つ
+        const eye = this.eye;
+        const aim = this.aimPoint(0);
+        const wanted = aim.clone().sub(eye).normalize();
+        const forward = directionFrom(this.yaw, this.pitch);
+        if (forward.angleTo(wanted) > this.config.fireCone + this.difficulty.aimError) return;
+
+        const def = this.weapon.def;
+        const kick = this.weapon.fire(now);
+        const view = new THREE.Quaternion().setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+        const dirs = shotDirections(def, kick, view);
+        // 見えていた (reactionTime 前の) 相手の位置で判定してもらう
+        net.onRemoteShot({
+            type: 'shoot',
+            t: now,
+            viewTime: now - this.difficulty.reactionTime,
+            weapon: def.id,
+            pos: { x: eye.x, y: eye.y, z: eye.z },
+            dirs: dirs.map(d => ({ x: d.x, y: d.y, z: d.z }))
+        });
+        if (this.weapon.ammo === 0) this.weapon.startReload(now);
+    }
+}
+
+// --- Navigation ---
+// 床の高さで通れるマスの格子 (坂は通れるものとして扱う)
+function buildNavGrid(world, cell) {
+    const radius = world.boundsRadius;
+    const size = Math.ceil(radius * 2 / cell);
+    const blocked = new Uint8Array(size * size);
+    const p = new THREE.Vector3();
+    const clearance = MOVEMENT_CONFIG.radius + 0.3;
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            p.set(-radius + (i + 0.5) * cell, 0, -radius + (j + 0.5) * cell);
+            const outside = Math.hypot(p.x, p.z) > radius - clearance;
+            blocked[i * size + j] = outside || world.boxes.some(box =>
+                box.max.y > 0.05 && box.min.y < MOVEMENT_CONFIG.headHeight && world.overlapsXZ(p, clearance, box)
+            ) ? 1 : 0;
+        }
+    }
+    return { world, boxCount: world.boxes.length, radius, cell, size, blocked };
+}
+
+function cellOf(nav, p) {
+    const clampIndex = (v) => THREE.MathUtils.clamp(Math.floor((v + nav.radius) / nav.cell), 0, nav.size - 1);
+    return [clampIndex(p.x), clampIndex(p.z)];
+}
+
+function cellCenter(nav, i, j) {
+    return new THREE.Vector3(-nav.radius + (i + 0.5) * nav.cell, 0, -nav.radius + (j + 0.5) * nav.cell);
+}
+
+function isFree(nav, i, j) {
+    return i >= 0 && j >= 0 && i < nav.size && j < nav.size && !nav.blocked[i * nav.size + j];
+}
+
+// 塞がったマスにいる (壁際・台の上) 場合は一番近い通れるマスから探す
+function nearestFree(nav, [i, j]) {
+    if (isFree(nav, i, j)) return [i, j];
+    for (let r = 1; r < nav.size; r++) {
+        for (let di = -r; di <= r; di++) {
+            for (let dj = -r; dj <= r; dj++) {
+                if (Math.max(Math.abs(di), Math.abs(dj)) === r && isFree(nav, i + di, j + dj)) return [i + di, j + dj];
+            }
+        }
+    }
+    return null;
+}
+
+// 幅優先探索 (8 方向、角はすり抜けない) の後、まっすぐ行ける点は飛ばす
+function findPath(nav, from, to) {
+    const start = nearestFree(nav, cellOf(nav, from));
+    const goal = nearestFree(nav, cellOf(nav, to));
+    if (!start || !goal) return [];
+
+    const { size } = nav;
+    const prev = new Int32Array(size * size).fill(-1);
+    const startIndex = start[0] * size + start[1];
+    const goalIndex = goal[0] * size + goal[1];
+    prev[startIndex] = startIndex;
+    const queue = [startIndex];
+    for (let q = 0; q < queue.length && prev[goalIndex] === -1; q++) {
+        const i = Math.floor(queue[q] / size);
+        const j = queue[q] % size;
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                if ((!di && !dj) || !isFree(nav, i + di, j + dj)) continue;
+                if (di && dj && (!isFree(nav, i + di, j) || !isFree(nav, i, j + dj))) continue;
+                const next = (i + di) * size + (j + dj);
+                if (prev[next] !== -1) continue;
+                prev[next] = queue[q];
+                queue.push(next);
+            }
+        }
+    }
+    if (prev[goalIndex] === -1) return [];
+
+    const cells = [];
+    for (let c = goalIndex; c !== startIndex; c = prev[c]) cells.push(c);
+    const points = cells.reverse().map(c => cellCenter(nav, Math.floor(c / size), c % size));
+    points.push(new THREE.Vector3(to.x, 0, to.z));
+
+    const smoothed = [];
+    let current = new THREE.Vector3(from.x, 0, from.z);
+    let k = 0;
+    while (k < points.length) {
+        let far = k;
+        while (far + 1 < points.length && isClearLine(nav, current, points[far + 1])) far++;
+        smoothed.push(points[far]);
+        current = points[far];
+        k = far + 1;
+    }
+    return smoothed;
+}
+
+function isClearLine(nav, a, b) {
+    const steps = Math.ceil(distanceXZ(a, b) / (nav.cell / 4));
+    for (let s = 1; s < steps; s++) {
+        const t = s / steps;
+        const [i, j] = cellOf(nav, { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+        if (!isFree(nav, i, j)) return false;
+    }
+    return true;
+}
+
+// --- Math ---
+function distanceXZ(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// カメラと同じく yaw 0 で -Z 向き
+function anglesTo(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    return { yaw: Math.atan2(-dx, -dz), pitch: Math.atan2(dy, Math.hypot(dx, dz)) };
+}
+
+function directionFrom(yaw, pitch) {
+    return new THREE.Vector3(
+        -Math.sin(yaw) * Math.cos(pitch),
+        Math.sin(pitch),
+        -Math.cos(yaw) * Math.cos(pitch)
+    );
+}
@@ -0,0 +1,222 @@
+// テキストチャットと定型メッセージ (プライベートルームの相手とだけ)
+// Enter で入力欄を開き、Enter で送信 / Esc で閉じる (ポインターロックはそのまま)
+// 相手の文字列は送る前と受け取った時の両方で整えて、必ず innerText で表示する
+// 相手を待っている間に書いたメッセージは溜めておき、相手が入ってきたら送る
+export const CHAT_CONFIG = {
+    maxLength: 100,      // 文字数 (UTF-16)
+    maxLines: 8,         // 表示する行数
+    maxPending: 5,       // 相手を待つ間に溜めておける件数
+    fadeTime: 8000,      // ms, 入力中でなければこの時間で消える
+    burst: 5,            // burstWindow の間に送れる・受け付ける件数
+    burstWindow: 5000    // ms
+};
+
+// 定型メッセージ: ID だけを送り、文言は受け取った側で引く
+export const QUICK_MESSAGES = {
+    gg: 'GG',
+    rematch: 'もう一回やる？',
+    nice: 'ナイス！',
+    wait: 'ちょっと待って'
+};
+
+// 制御文字・表示方向の制御文字を除き、空白をまとめて maxLength で切る
+export function sanitizeChatText(text, maxLength = CHAT_CONFIG.maxLength) {
+    return String(text)
+        .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .replace(/[\ud800-\udbff]$/, ''); // 切ったサロゲートペアの片割れ
+}
+
+export class Chat {
+    constructor(network, player, config = CHAT_CONFIG) {
+        this.network = network;
+        this.player = player;
+        this.config = config;
+        this.enabled = false;
+        this.isOpen = false;
+        this.lines = [];    // { el, at }
+        this.pending = [];  // 相手を待つ間に書いたメッセージ { msg, el }
+        this.sent = [];     // 送った時刻 (直近 burstWindow)
+        this.received = []; // 受け付けた時刻 (直近 burstWindow)
+
+        this.root = document.getElementById('chat');
+        this.log = document.getElementById('chat-log');
+        this.inputRow = document.getElementById('chat-input-row');
+        this.input = document.getElementById('chat-input');
+        this.input.maxLength = config.maxLength;
+        this.quickContainers = [...document.querySelectorAll('.chat-quick')];
+        for (const container of this.quickContainers) this.createQuickButtons(container);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Enter' || this.isOpen || !this.enabled || !this.player.isActive) return;
+            e.preventDefault();
+            this.open();
+        });
+        // 入力中のキーは Player (document の keydown) に渡さない
+        this.input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.code === 'Enter' || e.code === 'NumpadEnter') {
+                e.preventDefault();
+                this.submit();
+            } else if (e.code === 'Escape') {
+                this.close();
+            }
+        });
+        this.input.addEventListener('blur', () => this.close());
+        this.reset();
+    }
+
+    // プライベートルームに入った時に呼ぶ (waiting: 相手を待っている)
+    enable(waiting = false) {
+        this.reset();
+        this.enabled = true;
+        this.root.style.display = 'block';
+        for (const container of this.quickContainers) container.style.display = 'flex';
+        this.addSystem(waiting
+            ? '相手を待っています。Enter でチャット (相手が参加したら送信されます)'
+            : 'Enter でチャット');
+    }
+
+    reset() {
+        this.close();
+        this.enabled = false;
+        for (const line of this.lines) line.el.remove();
+        this.lines = [];
+        this.pending = [];
+        this.sent = [];
+        this.received = [];
+        this.root.style.display = 'none';
+        for (const container of this.quickContainers) container.style.display = 'none';
+    }
+
+    open() {
+        this.isOpen = true;
+        this.inputRow.style.display = 'flex';
+        this.input.value = '';
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.inputRow.style.display = 'none';
+        this.input.blur();
+    }
+
+    submit() {
+        const text = sanitizeChatText(this.input.value, this.config.maxLength);
+        if (text) this.send({ text });
+        this.close();
+    }
+
+    sendQuick(id) {
+        if (this.enabled && QUICK_MESSAGES[id]) this.send({ quick: id });
+    }
+
+    // msg: { text } か { quick }
+    send(msg) {
+        const now = performance.now();
+        if (!this.withinBurst(this.sent, now)) {
+            this.addSystem('送信が多すぎます。少し待ってください');
+            return;
+        }
+        if (this.isConnected()) {
+            this.sent.push(now);
+            this.network.send({ type: 'chat', ...msg });
+            this.addMessage('self', msg);
+        } else if (this.network.connState === 'closed') {
+            this.addSystem('相手との接続が切れています');
+        } else if (this.pending.length < this.config.maxPending) {
+            const el = this.addMessage('self', msg);
+            el.classList.add('pending');
+            this.pending.push({ msg, el });
+        } else {
+            this.addSystem('相手が参加するまで、これ以上送れません');
+        }
+    }
+
+    receive(data) {
+        if (!this.enabled) return;
+        const now = performance.now();
+        if (!this.withinBurst(this.received, now)) return;
+        this.received.push(now);
+        if (data.quick !== undefined) {
+            this.addMessage('opponent', { quick: data.quick });
+        } else {
+            const text = sanitizeChatText(data.text, this.config.maxLength);
+            if (text) this.addMessage('opponent', { text });
+        }
+    }
+
+    // 接続した (再接続では溜めたものだけ送る)
+    onConnected(resumed) {
+        if (!this.enabled) return;
+        if (!resumed) this.addSystem(this.network.isHost ? '相手が参加しました' : 'ルームに参加しました');
+        const pending = this.pending;
+        this.pending = [];
+        for (const { msg, el } of pending) {
+            this.network.send({ type: 'chat', ...msg });
+            el.classList.remove('pending');
+        }
+    }
+
+    // 入力中・相手待ちでなければ古い行を消していく
+    update() {
+        if (!this.enabled) return;
+        const now = performance.now();
+        const visible = this.isOpen || !this.isConnected();
+        for (const line of this.lines) {
+            line.el.classList.toggle('faded', !visible && now - line.at > this.config.fadeTime);
+        }
+    }
+
+    // --- Helpers ---
+    isConnected() {
+        return this.network.connState === 'connected' && !!this.network.conn;
+    }
+
+    withinBurst(times, now) {
+        while (times.length && now - times[0] > this.config.burstWindow) times.shift();
+        return times.length < this.config.burst;
+    }
+
+    addMessage(from, { text, quick }) {
+        const el = document.createElement('div');
+        el.className = quick === undefined ? `chat-line ${from}` : `chat-line ${from} quick`;
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.innerText = from === 'self' ? 'あなた' : '相手';
+        const body = document.createElement('span');
+        body.innerText = quick === undefined ? text : QUICK_MESSAGES[quick];
+        el.append(name, body);
+        return this.addLine(el);
+    }
+
+    addSystem(text) {
+        const el = document.createElement('div');
+        el.className = 'chat-line system';
+        el.innerText = text;
+        return this.addLine(el);
+    }
+
+    addLine(el) {
+        this.log.appendChild(el);
+        this.lines.push({ el, at: performance.now() });
+        while (this.lines.length > this.config.maxLines) this.lines.shift().el.remove();
+        return el;
+    }
+
+    createQuickButtons(container) {
+        for (const [id, label] of Object.entries(QUICK_MESSAGES)) {
+            const button = document.createElement('button');
+            button.className = 'btn-val-outline';
+            button.innerText = label;
+            // 入力欄の blur より先に送る
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.onclick = () => this.sendQuick(id);
+            container.appendChild(button);
+        }
+    }
+}
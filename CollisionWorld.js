@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+// 静的な障害物の当たり判定 (AABB と坂)
+// プレイヤーは足元を基準にした縦長のカプセル (半径 radius, 高さ height) として扱う
+export class CollisionWorld {
+    constructor() {
+        this.boxes = [];
+        this.ramps = [];
+        this.floorY = 0;
+        this.boundsRadius = 100;
+        this.stepHeight = 0.5; // 坂の側面を壁とみなすまでの段差
+        this.skin = 0.001;
+    }
+
+    addBox(min, max) {
+        const box = new THREE.Box3(min.clone(), max.clone());
+        this.boxes.push(box);
+        return box;
+    }
+
+    addMesh(mesh) {
+        mesh.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(mesh);
+        this.boxes.push(box);
+        return box;
+    }
+
+    // axis ('x' | 'z') の sign 方向に向かって高くなる坂
+    addRamp(mesh, axis, sign) {
+        mesh.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(mesh);
+        const ramp = { box, axis, sign, mesh };
+        this.ramps.push(ramp);
+        return ramp;
+    }
+
+    clear() {
+        this.boxes.length = 0;
+        this.ramps.length = 0;
+    }
+
+    rampHeightAt(ramp, x, z) {
+        const { box, axis, sign } = ramp;
+        const v = axis === 'x' ? x : z;
+        const lo = box.min[axis];
+        const hi = box.max[axis];
+        let t = THREE.MathUtils.clamp((v - lo) / (hi - lo), 0, 1);
+        if (sign < 0) t = 1 - t;
+        return box.min.y + t * (box.max.y - box.min.y);
+    }
+
+    // 円形の場外に出ないよう足元位置を戻す
+    clampToBounds(feet) {
+        const dist = Math.sqrt(feet.x * feet.x + feet.z * feet.z);
+        if (dist > this.boundsRadius) {
+            const angle = Math.atan2(feet.z, feet.x);
+            feet.x = Math.cos(angle) * this.boundsRadius;
+            feet.z = Math.sin(angle) * this.boundsRadius;
+        }
+    }
+
+    // レイが最初に当たる障害物までの距離 (なければ Infinity)
+    intersectRay(ray) {
+        let nearest = Infinity;
+        const point = new THREE.Vector3();
+        for (const box of this.boxes) {
+            if (ray.intersectBox(box, point)) nearest = Math.min(nearest, ray.origin.distanceTo(point));
+        }
+        if (this.ramps.length) {
+            const raycaster = new THREE.Raycaster(ray.origin, ray.direction);
+            for (const ramp of this.ramps) {
+                const hit = raycaster.intersectObject(ramp.mesh, false)[0];
+                if (hit) nearest = Math.min(nearest, hit.distance);
+            }
+        }
+        return nearest;
+    }
+
+    // 足元位置 feet を velocity * delta だけ動かし、壁に沿って滑らせる
+    // feet / velocity はその場で書き換える
+    moveAndSlide(feet, velocity, delta, radius, height) {
+        const result = { onGround: false, hitCeiling: false, hitWall: false };
+
+        // 高速移動時のすり抜け防止にサブステップへ分割
+        const travel = Math.max(Math.abs(velocity.x), Math.abs(velocity.y), Math.abs(velocity.z)) * delta;
+        const steps = Math.min(8, Math.max(1, Math.ceil(travel / (radius * 0.5))));
+        const dt = delta / steps;
+
+        for (let i = 0; i < steps; i++) {
+            // 1. Horizontal (XZ) - 壁に当たった成分だけを打ち消して滑らせる
+            feet.x += velocity.x * dt;
+            feet.z += velocity.z * dt;
+            if (this.resolveHorizontal(feet, velocity, radius, height)) result.hitWall = true;
+
+            // 2. Vertical (Y) - 床・箱の天面への着地と天井
+            feet.y += velocity.y * dt;
+            this.resolveVertical(feet, velocity, radius, height, result);
+        }
+
+        return result;
+    }
+
+    resolveHorizontal(feet, velocity, radius, height) {
+        let hit = false;
+        for (const box of this.boxes) {
+            // 天面に立っている箱・頭上の箱は壁として扱わない
+            if (box.max.y <= feet.y + this.skin || box.min.y >= feet.y + height) continue;
+
+            const cx = THREE.MathUtils.clamp(feet.x, box.min.x, box.max.x);
+            const cz = THREE.MathUtils.clamp(feet.z, box.min.z, box.max.z);
+            let nx = feet.x - cx;
+            let nz = feet.z - cz;
+            const distSq = nx * nx + nz * nz;
+            if (distSq >= radius * radius) continue;
+
+            let push;
+            if (distSq > 1e-8) {
+                const dist = Math.sqrt(distSq);
+                nx /= dist;
+                nz /= dist;
+                push = radius - dist;
+            } else {
+                // 中心が箱の内側に入り込んだ場合は一番近い面から押し出す
+                const exits = [
+                    [feet.x - box.min.x, -1, 0],
+                    [box.max.x - feet.x, 1, 0],
+                    [feet.z - box.min.z, 0, -1],
+                    [box.max.z - feet.z, 0, 1]
+                ].sort((a, b) => a[0] - b[0]);
+                [push, nx, nz] = exits[0];
+                push += radius;
+            }
+
+            feet.x += nx * (push + this.skin);
+            feet.z += nz * (push + this.skin);
+
+            // 壁方向の速度成分を削除（沿う成分は残す = スライド）
+            const vn = velocity.x * nx + velocity.z * nz;
+            if (vn < 0) {
+                velocity.x -= vn * nx;
+                velocity.z -= vn * nz;
+            }
+            hit = true;
+        }
+
+        // 坂は段差より高い部分だけを壁として扱う (低い側からは登れる)
+        for (const ramp of this.ramps) {
+            const { box } = ramp;
+            if (box.min.y >= feet.y + height) continue;
+
+            const cx = THREE.MathUtils.clamp(feet.x, box.min.x, box.max.x);
+            const cz = THREE.MathUtils.clamp(feet.z, box.min.z, box.max.z);
+            if (this.rampHeightAt(ramp, cx, cz) <= feet.y + this.stepHeight) continue;
+
+            let nx = feet.x - cx;
+            let nz = feet.z - cz;
+            const distSq = nx * nx + nz * nz;
+            if (distSq >= radius * radius || distSq < 1e-8) continue;
+
+            const dist = Math.sqrt(distSq);
+            nx /= dist;
+            nz /= dist;
+            feet.x += nx * (radius - dist + this.skin);
+            feet.z += nz * (radius - dist + this.skin);
+
+            const vn = velocity.x * nx + velocity.z * nz;
+            if (vn < 0) {
+                velocity.x -= vn * nx;
+                velocity.z -= vn * nz;
+            }
+            hit = true;
+        }
+        return hit;
+    }
+
+    resolveVertical(feet, velocity, radius, height, result) {
+        if (feet.y <= this.floorY) {
+            feet.y = this.floorY;
+            if (velocity.y < 0) velocity.y = 0;
+            result.onGround = true;
+        }
+
+        for (const box of this.boxes) {
+            if (!this.overlapsXZ(feet, radius, box)) continue;
+            if (feet.y >= box.max.y || feet.y + height <= box.min.y) continue;
+
+            if (velocity.y <= 0 && feet.y > box.max.y - Math.max(0.5, -velocity.y * 0.05)) {
+                // 天面に着地
+                feet.y = box.max.y;
+                velocity.y = 0;
+                result.onGround = true;
+            } else if (velocity.y > 0 && feet.y + height < box.min.y + velocity.y * 0.05 + 0.1) {
+                // 天井に頭をぶつけた
+                feet.y = box.min.y - height - this.skin;
+                velocity.y = 0;
+                result.hitCeiling = true;
+            }
+        }
+
+        for (const ramp of this.ramps) {
+            const { box } = ramp;
+            if (feet.x < box.min.x || feet.x > box.max.x || feet.z < box.min.z || feet.z > box.max.z) continue;
+
+            // 登っている最中は前フレームより沈み込むので、段差分までは面に吸着させる
+            const surface = this.rampHeightAt(ramp, feet.x, feet.z);
+            if (velocity.y <= 0 && feet.y < surface && feet.y > surface - Math.max(this.stepHeight + 0.1, -velocity.y * 0.05)) {
+                feet.y = surface;
+                velocity.y = 0;
+                result.onGround = true;
+            }
+        }
+    }
+
+    overlapsXZ(feet, radius, box) {
+        const cx = THREE.MathUtils.clamp(feet.x, box.min.x, box.max.x);
+        const cz = THREE.MathUtils.clamp(feet.z, box.min.z, box.max.z);
+        const dx = feet.x - cx;
+        const dz = feet.z - cz;
+        return dx * dx + dz * dz < radius * radius;
+    }
+
+    // しゃがみ解除などで、指定の高さが収まるか
+    hasHeadroom(feet, radius, height) {
+        for (const box of this.boxes) {
+            if (!this.overlapsXZ(feet, radius, box)) continue;
+            if (box.min.y >= feet.y + this.skin && box.min.y < feet.y + height) return false;
+        }
+        return true;
+    }
+}
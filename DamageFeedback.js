@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+// 被弾・与ダメージ・死亡の HUD 表示
+// 被弾方向のインジケーター (画面中央を囲む弧)、ダメージ量に応じた赤い周辺減光、
+// 相手に当てたダメージの数字、倒された時の画面 (倒した相手・残り体力・復活までの時間)
+const INDICATOR_TIME = 1.2;   // sec
+const VIGNETTE_DAMAGE = 60;   // このダメージで減光が最大になる
+const VIGNETTE_FADE = 1.5;    // 1 秒あたりに引く量
+const NUMBER_TIME = 0.8;      // sec
+const NUMBER_RISE = 0.6;      // m, 表示中に浮き上がる高さ
+
+export class DamageFeedback {
+    constructor(camera) {
+        this.camera = camera;
+        this.indicators = []; // { from, time, el }
+        this.numbers = [];    // { pos, time, el }
+        this.vignette = 0;
+        this.death = null;    // { killerVitals, respawnAt }
+
+        this.vignetteEl = document.getElementById('damage-vignette');
+        this.indicatorLayer = document.getElementById('damage-indicators');
+        this.numberLayer = document.getElementById('damage-numbers');
+        this.deathOverlay = document.getElementById('death-overlay');
+    }
+
+    // 自分が撃たれた (from: 撃った相手の位置、分からなければ null)
+    onDamaged(from, damage) {
+        this.vignette = Math.min(1, this.vignette + damage / VIGNETTE_DAMAGE);
+        if (!from) return;
+
+        // 同じ相手からの連続した被弾は 1 つのインジケーターにまとめる
+        const existing = this.indicators.find(i => i.from.distanceTo(from) < 2);
+        if (existing) {
+            existing.from.copy(from);
+            existing.time = INDICATOR_TIME;
+            return;
+        }
+        const el = document.createElement('div');
+        el.className = 'damage-indicator';
+        this.indicatorLayer.appendChild(el);
+        this.indicators.push({ from: new THREE.Vector3(from.x, from.y, from.z), time: INDICATOR_TIME, el });
+    }
+
+    // 相手に当てたダメージを pos (ワールド座標) に浮かべる
+    onDealtDamage(pos, damage, headshot = false) {
+        const el = document.createElement('div');
+        el.className = headshot ? 'damage-number headshot' : 'damage-number';
+        el.innerText = String(Math.round(damage));
+        this.numberLayer.appendChild(el);
+        this.numbers.push({ pos: new THREE.Vector3(pos.x, pos.y, pos.z), time: NUMBER_TIME, el });
+    }
+
+    // 倒された画面
+    // killerVitals: 倒した相手の Vitals (表示中も追従する), respawnAt: 復活する時刻 (ラウンド制で待つ場合は null)
+    showDeath({ killerName, weapon, headshot, killerVitals, respawnAt }) {
+        this.death = { killerVitals, respawnAt };
+        document.getElementById('death-killer').innerText = killerName;
+        document.getElementById('death-weapon').innerText = headshot ? `${weapon} - HEADSHOT` : weapon;
+        this.deathOverlay.style.display = 'flex';
+        this.updateDeath();
+    }
+
+    // キルカムの後、ラウンド制で次のラウンドまで待つ
+    waitForRound() {
+        if (this.death) this.death.respawnAt = null;
+    }
+
+    hideDeath() {
+        this.death = null;
+        this.deathOverlay.style.display = 'none';
+    }
+
+    clear() {
+        for (const item of [...this.indicators, ...this.numbers]) item.el.remove();
+        this.indicators.length = 0;
+        this.numbers.length = 0;
+        this.vignette = 0;
+        this.vignetteEl.style.opacity = 0;
+        this.hideDeath();
+    }
+
+    update(delta) {
+        this.vignette = Math.max(0, this.vignette - VIGNETTE_FADE * delta);
+        this.vignetteEl.style.opacity = this.vignette;
+
+        // インジケーターは今の向きに合わせて回す
+        const yaw = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion).y;
+        const pos = this.camera.position;
+        this.indicators = this.indicators.filter((item) => {
+            item.time -= delta;
+            if (item.time <= 0) {
+                item.el.remove();
+                return false;
+            }
+            const dx = item.from.x - pos.x;
+            const dz = item.from.z - pos.z;
+            const forward = -Math.sin(yaw) * dx - Math.cos(yaw) * dz;
+            const right = Math.cos(yaw) * dx - Math.sin(yaw) * dz;
+            item.el.style.transform = `translate(-50%, -50%) rotate(${Math.atan2(right, forward)}rad) translateY(-110px)`;
+            item.el.style.opacity = Math.min(1, item.time / INDICATOR_TIME * 2);
+            return true;
+        });
+
+        const screen = new THREE.Vector3();
+        this.numbers = this.numbers.filter((item) => {
+            item.time -= delta;
+            if (item.time <= 0) {
+                item.el.remove();
+                return false;
+            }
+            const progress = 1 - item.time / NUMBER_TIME;
+            screen.copy(item.pos).setY(item.pos.y + NUMBER_RISE * progress).project(this.camera);
+            // カメラの後ろでは表示しない
+            item.el.style.display = screen.z > 1 ? 'none' : 'block';
+            item.el.style.left = `${(screen.x + 1) / 2 * window.innerWidth}px`;
+            item.el.style.top = `${(1 - screen.y) / 2 * window.innerHeight}px`;
+            item.el.style.opacity = Math.min(1, item.time / NUMBER_TIME * 2);
+            return true;
+        });
+
+        if (this.death) this.updateDeath();
+    }
+
+    updateDeath() {
+        const { killerVitals, respawnAt } = this.death;
+        document.getElementById('death-killer-health').innerText =
+            `体力 ${Math.ceil(killerVitals.health)} / シールド ${Math.ceil(killerVitals.shield)}`;
+        document.getElementById('death-respawn').innerText = respawnAt === null
+            ? '次のラウンドを待っています'
+            : `復活まで ${Math.max(0, (respawnAt - performance.now()) / 1000).toFixed(1)}`;
+    }
+}
@@ -0,0 +1,17 @@
+// 表示用の時間と、JSON ファイルの保存 (戦績・リプレイ・試合やラウンドの残り時間で共通)
+
+// 秒 → m:ss
+export function formatClock(sec) {
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+// text を <prefix>_YYYYMMDD_HHMM.json としてダウンロードさせる (date はファイル名の日時)
+export function downloadJson(text, prefix, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 13);
+    const blob = new Blob([text], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${prefix}_${stamp}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { StateHistory } from './StateHistory.js';
+import { createPlayerModel } from './PlayerModel.js';
+
+const KILLCAM_LENGTH = 3000; // ms
+
+// 直近数秒の両プレイヤーの状態と射撃を記録し、倒された時に相手視点で再生する
+// 記録はすべて自分の時計 (performance.now) で行う
+export class Killcam {
+    constructor(scene, player, network) {
+        this.scene = scene;
+        this.player = player;
+        this.network = network;
+
+        this.local = new StateHistory(KILLCAM_LENGTH + 500);
+        this.remote = new StateHistory(KILLCAM_LENGTH + 500);
+        this.shots = []; // { t, shooter: 'local' | 'remote', start, dirs }
+
+        this.isPlaying = false;
+        this.playTime = 0;
+        this.endTime = 0;
+        this.onDone = null;
+        this.saved = null;
+
+        // 再生中に相手視点から見える自分の姿
+        this.victimModel = createPlayerModel(0x00f2ff);
+        this.victimModel.visible = false;
+        this.scene.add(this.victimModel);
+
+        this.overlay = document.getElementById('killcam-overlay');
+    }
+
+    recordLocal(t, pos, yaw, pitch) {
+        if (!this.isPlaying) this.local.push(t, pos, yaw, pitch);
+    }
+
+    recordRemote(t, pos, yaw, pitch) {
+        if (!this.isPlaying) this.remote.push(t, pos, yaw, pitch);
+    }
+
+    recordShot(t, shooter, start, dirs) {
+        if (this.isPlaying) return;
+        this.shots.push({
+            t,
+            shooter,
+            start: new THREE.Vector3(start.x, start.y, start.z),
+            dirs: dirs.map(d => new THREE.Vector3(d.x, d.y, d.z))
+        });
+        while (this.shots.length && this.shots[0].t < t - KILLCAM_LENGTH - 500) this.shots.shift();
+    }
+
+    clear() {
+        this.local.clear();
+        this.remote.clear();
+        this.shots.length = 0;
+    }
+
+    // 再生できる記録がなければ false
+    play(onDone) {
+        const last = this.remote.latest();
+        if (!last || !this.local.latest()) return false;
+
+        const camera = this.player.camera;
+        this.saved = { pos: camera.position.clone(), quat: camera.quaternion.clone() };
+        this.endTime = Math.min(last.t, this.local.latest().t);
+        this.playTime = this.endTime - KILLCAM_LENGTH;
+        this.lastShotTime = this.playTime;
+        this.onDone = onDone;
+        this.isPlaying = true;
+
+        this.player.isSpectating = true;
+        this.player.controls.enabled = false;
+        this.network.remotePlayerMesh.visible = false;
+        this.network.remoteShieldBar.visible = false;
+        this.victimModel.visible = true;
+        if (this.overlay) this.overlay.style.display = 'block';
+        return true;
+    }
+
+    // 再生の残り時間 (ms)
+    get remaining() {
+        return this.isPlaying ? Math.max(0, this.endTime - this.playTime) : 0;
+    }
+
+    // 再生を終了してカメラを戻す (最後まで再生した時だけ onDone を呼ぶ)
+    stop(finished = false) {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+
+        const camera = this.player.camera;
+        camera.position.copy(this.saved.pos);
+        camera.quaternion.copy(this.saved.quat);
+        this.player.isSpectating = false;
+        this.player.controls.enabled = true;
+        this.network.remotePlayerMesh.visible = true;
+        this.victimModel.visible = false;
+        if (this.overlay) this.overlay.style.display = 'none';
+        this.clear();
+
+        const done = this.onDone;
+        this.onDone = null;
+        if (finished && done) done();
+    }
+
+    update(delta) {
+        if (!this.isPlaying) return;
+
+        this.playTime += delta * 1000;
+        const t = Math.min(this.playTime, this.endTime);
+
+        // 相手 (キラー) の視点
+        const killer = this.remote.sample(t);
+        const camera = this.player.camera;
+        camera.position.copy(killer.pos);
+        camera.quaternion.setFromEuler(new THREE.Euler(killer.rotX, killer.rotY, 0, 'YXZ'));
+
+        const me = this.local.sample(t);
+        this.victimModel.position.set(me.pos.x, me.pos.y - 0.8, me.pos.z);
+        this.victimModel.rotation.y = me.rotY;
+
+        // この区間の射撃を再現
+        for (const shot of this.shots) {
+            if (shot.t <= this.lastShotTime || shot.t > t) continue;
+            for (const dir of shot.dirs) {
+                this.player.createTracer(shot.start.clone().addScaledVector(dir, 1), dir);
+            }
+        }
+        this.lastShotTime = t;
+
+        if (this.playTime >= this.endTime + 500) this.stop(true);
+    }
+}
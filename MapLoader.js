@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+
+// JSON のマップ定義からシーンと当たり判定を組み立てる
+//
+// {
+//   id, name,
+//   bounds:    { radius, wallHeight },
+//   colors:    { background, fog, ground, grid, gridSub, boundary, obstacle, emissive },
+//   fog:       { near, far },
+//   lights:    [{ type: 'ambient' | 'directional' | 'point', color, intensity, position?, distance? }],
+//   obstacles: [{ type: 'box' | 'platform' | 'ramp', position: [x, y, z], size: [w, h, d], direction? }],
+//   spawns:    [{ name, side: 'A' | 'B', position: [x, y, z], yaw }]
+// }
+//
+// position は中心座標、ramp の direction ('+x' | '-x' | '+z' | '-z') は高くなる向き
+const RAMP_DIRECTIONS = {
+    '+z': { axis: 'z', sign: 1, rotation: 0 },
+    '-z': { axis: 'z', sign: -1, rotation: Math.PI },
+    '+x': { axis: 'x', sign: 1, rotation: Math.PI / 2 },
+    '-x': { axis: 'x', sign: -1, rotation: -Math.PI / 2 }
+};
+
+const LIGHT_TYPES = ['ambient', 'directional', 'point'];
+const SPAWN_SIDES = ['A', 'B'];
+
+// 受信したマップの上限 (大きすぎる地面・グリッドや大量のメッシュで固まらないように)
+// 位置は通信で ±327m に量子化されるので、半径もその内側に収める
+export const MAP_LIMITS = {
+    maxRadius: 300,
+    maxWallHeight: 100,
+    maxObstacles: 300,
+    maxObstacleSize: 200,
+    maxLights: 16,
+    maxIntensity: 100,
+    maxSpawns: 32,
+    maxFog: 2000,
+    maxNameLength: 32    // マップの id・名前、スポーン地点の名前
+};
+
+const DEFAULT_COLORS = {
+    background: '#06080a',
+    fog: '#06080a',
+    ground: '#10151a',
+    grid: '#ff4655',
+    gridSub: '#1a1a1a',
+    boundary: '#ff4655',
+    obstacle: '#1f2326',
+    emissive: '#ff4655'
+};
+
+export class MapLoader {
+    constructor(scene, world) {
+        this.scene = scene;
+        this.world = world;
+        this.group = null;
+        this.current = null;
+    }
+
+    // 検証と組み立てがすべて成功してから差し替える (失敗したら例外、今のマップはそのまま)
+    load(map) {
+        validateMap(map);
+
+        const colors = { ...DEFAULT_COLORS, ...map.colors };
+        const radius = map.bounds.radius;
+        const group = new THREE.Group();
+        group.name = `map:${map.id}`;
+
+        let colliders;
+        try {
+            colliders = this.build(map, group, colors);
+        } catch (e) {
+            disposeGroup(group);
+            throw e;
+        }
+
+        this.unload();
+        this.scene.background = new THREE.Color(colors.background);
+        const fog = map.fog || { near: 20, far: 150 };
+        this.scene.fog = new THREE.Fog(colors.fog, fog.near, fog.far);
+        this.world.boundsRadius = radius;
+        for (const add of colliders) add();
+
+        this.scene.add(group);
+        this.group = group;
+        this.current = map;
+        return map;
+    }
+
+    // group にマップのメッシュを組み立てる (シーン・当たり判定にはまだ触らない)
+    build(map, group, colors) {
+        const radius = map.bounds.radius;
+
+        // Environment
+        for (const light of map.lights || []) {
+            group.add(createLight(light));
+        }
+
+        // Ground (Valorant style grid)
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(radius * 5, radius * 5),
+            new THREE.MeshStandardMaterial({ color: colors.ground, roughness: 0.9, metalness: 0.1 })
+        );
+        ground.rotation.x = -Math.PI / 2;
+        group.add(ground);
+
+        const grid = new THREE.GridHelper(radius * 2, Math.round(radius * 0.4), colors.grid, colors.gridSub);
+        grid.position.y = 0.02;
+        group.add(grid);
+
+        // Visual Boundary (Wall of lights)
+        const wallHeight = map.bounds.wallHeight || 10;
+        const boundary = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius, radius, wallHeight, 64, 1, true),
+            new THREE.MeshBasicMaterial({
+                color: colors.boundary,
+                transparent: true,
+                opacity: 0.1,
+                side: THREE.BackSide,
+                wireframe: true
+            })
+        );
+        boundary.position.y = wallHeight / 2;
+        group.add(boundary);
+
+        // Map obstacles (当たり判定は差し替える時に登録するので、登録する関数を返す)
+        const colliders = [];
+        const obstacleMat = new THREE.MeshStandardMaterial({
+            color: colors.obstacle,
+            emissive: colors.emissive,
+            emissiveIntensity: 0.1
+        });
+        const platformMat = obstacleMat.clone();
+        platformMat.emissiveIntensity = 0.25;
+
+        for (const o of map.obstacles) {
+            const [x, y, z] = o.position;
+            const [sx, sy, sz] = o.size;
+            let mesh;
+            if (o.type === 'ramp') {
+                const dir = RAMP_DIRECTIONS[o.direction || '+z'];
+                // 回転前は +Z 方向に高くなる楔形
+                const along = dir.axis === 'x' ? sx : sz;
+                const across = dir.axis === 'x' ? sz : sx;
+                mesh = new THREE.Mesh(createRampGeometry(across, sy, along), obstacleMat);
+                mesh.rotation.y = dir.rotation;
+                mesh.position.set(x, y, z);
+                group.add(mesh);
+                colliders.push(() => this.world.addRamp(mesh, dir.axis, dir.sign));
+            } else {
+                mesh = new THREE.Mesh(new THREE.BoxGeometry(sx, sy, sz), o.type === 'platform' ? platformMat : obstacleMat);
+                mesh.position.set(x, y, z);
+                group.add(mesh);
+                colliders.push(() => this.world.addMesh(mesh));
+            }
+        }
+
+        return colliders;
+    }
+
+    unload() {
+        if (!this.group) return;
+        this.scene.remove(this.group);
+        disposeGroup(this.group);
+        this.group = null;
+        this.current = null;
+        this.world.clear();
+    }
+}
+
+function disposeGroup(group) {
+    group.traverse((obj) => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+    });
+}
+
+function createLight(def) {
+    let light;
+    if (def.type === 'ambient') {
+        light = new THREE.AmbientLight(def.color, def.intensity);
+    } else if (def.type === 'directional') {
+        light = new THREE.DirectionalLight(def.color, def.intensity);
+    } else if (def.type === 'point') {
+        light = new THREE.PointLight(def.color, def.intensity, def.distance || 0);
+    } else {
+        throw new Error(`Unknown light type: ${def.type}`);
+    }
+    if (def.position) light.position.fromArray(def.position);
+    return light;
+}
+
+// 幅 w, 高さ h, 奥行き d で、-Z 側が床面・+Z 側が高い楔形
+function createRampGeometry(w, h, d) {
+    const geo = new THREE.BoxGeometry(w, h, d);
+    const pos = geo.attributes.position;
+    for (let i = 0; i < pos.count; i++) {
+        if (pos.getY(i) > 0 && pos.getZ(i) < 0) pos.setY(i, -h / 2);
+    }
+    geo.computeVertexNormals();
+    return geo;
+}
+
+// 受信したマップも読み込むので、組み立てる前にすべての項目と上限を確認する
+export function validateMap(map, limits = MAP_LIMITS) {
+    const isVec3 = (v, max) => Array.isArray(v) && v.length === 3 && v.every(n => Number.isFinite(n) && Math.abs(n) <= max);
+    const inRange = (v, min, max) => Number.isFinite(v) && v >= min && v <= max;
+    const isColor = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+    const isName = (v) => typeof v === 'string' && v.length > 0 && v.length <= limits.maxNameLength;
+
+    if (!map || typeof map !== 'object' || !isName(map.id)) throw new Error('Map id missing or invalid');
+    const fail = (reason) => { throw new Error(`Map ${map.id}: ${reason}`); };
+    if (!isName(map.name)) fail('invalid name');
+
+    const { bounds } = map;
+    if (!bounds || !inRange(bounds.radius, 1, limits.maxRadius)) fail('invalid bounds');
+    if (bounds.wallHeight !== undefined && !inRange(bounds.wallHeight, 0, limits.maxWallHeight)) fail('invalid wall height');
+    const extent = bounds.radius + limits.maxObstacleSize;
+
+    if (map.colors !== undefined) {
+        if (!map.colors || typeof map.colors !== 'object') fail('invalid colors');
+        for (const [key, value] of Object.entries(map.colors)) {
+            if (!DEFAULT_COLORS[key] || !isColor(value)) fail(`invalid color ${key}`);
+        }
+    }
+    if (map.fog !== undefined) {
+        if (!map.fog || !inRange(map.fog.near, 0, limits.maxFog) || !inRange(map.fog.far, map.fog.near, limits.maxFog)) fail('invalid fog');
+    }
+
+    if (map.lights !== undefined) {
+        if (!Array.isArray(map.lights) || map.lights.length > limits.maxLights) fail('invalid lights');
+        for (const l of map.lights) {
+            if (!l || !LIGHT_TYPES.includes(l.type)) fail(`unknown light type ${l && l.type}`);
+            if (!isColor(l.color) || !inRange(l.intensity, 0, limits.maxIntensity)) fail('invalid light');
+            if (l.position !== undefined && !isVec3(l.position, extent)) fail('invalid light position');
+            if (l.distance !== undefined && !inRange(l.distance, 0, extent * 2)) fail('invalid light distance');
+        }
+    }
+
+    if (!Array.isArray(map.obstacles)) fail('obstacles missing');
+    if (map.obstacles.length > limits.maxObstacles) fail(`too many obstacles (${map.obstacles.length})`);
+    for (const o of map.obstacles) {
+        if (!o || !['box', 'platform', 'ramp'].includes(o.type)) fail(`unknown obstacle type ${o && o.type}`);
+        if (!isVec3(o.position, extent) || !isVec3(o.size, limits.maxObstacleSize) || !o.size.every(n => n > 0)) fail('invalid obstacle');
+        if (o.type === 'ramp' && o.direction && !RAMP_DIRECTIONS[o.direction]) fail('invalid ramp direction');
+    }
+
+    if (!Array.isArray(map.spawns) || map.spawns.length < 2) fail('needs at least 2 spawns');
+    if (map.spawns.length > limits.maxSpawns) fail('too many spawns');
+    for (const s of map.spawns) {
+        if (!s || !isVec3(s.position, bounds.radius) || (s.yaw !== undefined && !Number.isFinite(s.yaw))) fail('invalid spawn');
+        if (!isName(s.name) || !SPAWN_SIDES.includes(s.side)) fail('invalid spawn name or side');
+    }
+}
@@ -0,0 +1,359 @@
+import { formatClock } from './Format.js';
+
+// 試合の進行 (カウントダウン → ラウンド → 結果 → リマッチ)
+// 状態遷移はホストだけが行い、'match' メッセージでゲストに同期する
+export const MATCH_CONFIG = {
+    mode: 'rounds',     // 'rounds' = 先に roundsToWin ラウンド取った方の勝ち / 'kills' = 先に killsToWin キル
+    roundsToWin: 3,     // Best of 5
+    killsToWin: 10,
+    roundTime: 90,      // sec
+    countdown: 3,       // sec
+    roundEndDelay: 4    // sec (キルカムが最後まで見られる長さ)
+};
+
+export class MatchManager {
+    constructor(network, player, config = MATCH_CONFIG) {
+        this.network = network;
+        this.player = player;
+        this.config = { ...config };
+
+        this.state = 'idle'; // idle | countdown | live | roundEnd | matchEnd
+        this.round = 0;
+        this.score = { host: 0, guest: 0 };
+        this.winner = null;
+        this.endsAt = 0;
+        this.rematch = { host: false, guest: false };
+        this.isPaused = false; // 再接続待ちの間は時計もプレイヤーも止める
+        this.pausedAt = 0;
+        this.wasFrozen = false;
+        this.bannerTimer = null;
+        this.onLeave = null;
+
+        this.initUI();
+    }
+
+    initUI() {
+        this.scoreboard = document.getElementById('scoreboard');
+        this.scoreYou = document.getElementById('score-you');
+        this.scoreEnemy = document.getElementById('score-enemy');
+        this.roundLabel = document.getElementById('round-label');
+        this.roundTimer = document.getElementById('round-timer');
+        this.banner = document.getElementById('match-banner');
+        this.results = document.getElementById('match-results');
+        this.resultTitle = document.getElementById('result-title');
+        this.resultScore = document.getElementById('result-score');
+        this.rematchStatus = document.getElementById('rematch-status');
+        this.rematchButton = document.getElementById('btn-rematch');
+
+        this.rematchButton.onclick = () => this.requestRematch();
+        document.getElementById('btn-save-replay').onclick = () => {
+            if (this.network.recorder) this.network.recorder.download();
+        };
+        document.getElementById('btn-leave-match').onclick = () => {
+            if (this.onLeave) this.onLeave();
+        };
+    }
+
+    get isHost() {
+        return this.network.isHost;
+    }
+
+    get maxRounds() {
+        return this.config.roundsToWin * 2 - 1;
+    }
+
+    isLive() {
+        return this.state === 'live';
+    }
+
+    // 移動できる状態か (カウントダウン中・ラウンド終了後は止まる)
+    canMove() {
+        return this.state === 'idle' || this.state === 'live';
+    }
+
+    // キル制か試合前なら倒されてもその場で復活する
+    respawnsOnDeath() {
+        return this.state === 'idle' || this.config.mode === 'kills';
+    }
+
+    // --- Host ---
+    onConnected() {
+        if (!this.isHost) return;
+        this.resetMatch();
+        this.startRound();
+    }
+
+    resetMatch() {
+        this.round = 0;
+        this.score = { host: 0, guest: 0 };
+        this.winner = null;
+        this.rematch = { host: false, guest: false };
+    }
+
+    startRound() {
+        this.round++;
+        this.setState('countdown', this.config.countdown);
+    }
+
+    setState(state, duration, extra = {}) {
+        const msg = {
+            type: 'match',
+            state,
+            round: this.round,
+            score: { ...this.score },
+            remaining: duration,
+            winner: this.winner,
+            config: this.config,
+            ...extra
+        };
+        this.network.send(msg);
+        this.applyState(msg);
+    }
+
+    onKill(killer, victim) {
+        if (!this.isHost || this.state !== 'live') return;
+
+        this.score[killer]++;
+        if (this.config.mode === 'kills') {
+            if (this.score[killer] >= this.config.killsToWin) this.endMatch(killer);
+            return;
+        }
+        this.endRound(killer);
+    }
+
+    onTimeout() {
+        const { vitals } = this.network;
+        const host = vitals.host.health + vitals.host.shield;
+        const guest = vitals.guest.health + vitals.guest.shield;
+        if (this.config.mode === 'kills') {
+            const leader = this.score.host === this.score.guest ? null : (this.score.host > this.score.guest ? 'host' : 'guest');
+            this.endMatch(leader);
+            return;
+        }
+
+        // 時間切れは残り体力 (シールド込み) の多い方がラウンド取得
+        const roundWinner = host === guest ? null : (host > guest ? 'host' : 'guest');
+        if (roundWinner) this.score[roundWinner]++;
+        this.endRound(roundWinner);
+    }
+
+    endRound(roundWinner) {
+        const { host, guest } = this.score;
+        if (host >= this.config.roundsToWin || guest >= this.config.roundsToWin || this.round >= this.maxRounds) {
+            this.endMatch(host === guest ? null : (host > guest ? 'host' : 'guest'));
+            return;
+        }
+        this.setState('roundEnd', this.config.roundEndDelay, { roundWinner });
+    }
+
+    endMatch(winner) {
+        this.winner = winner;
+        this.setState('matchEnd', 0);
+    }
+
+    // --- Both ---
+    onReceive(data) {
+        if (data.request === 'rematch') {
+            this.rematch[this.network.opponentRole] = true;
+            this.rematchStatus.innerText = this.rematch[this.network.role] ? '' : '相手がリマッチを希望しています';
+            this.checkRematch();
+        } else if (!this.isHost) {
+            this.applyState(data);
+        }
+    }
+
+    applyState(msg) {
+        const entering = msg.state !== this.state || msg.round !== this.round;
+        this.state = msg.state;
+        this.round = msg.round;
+        this.score = msg.score;
+        this.winner = msg.winner;
+        this.config = msg.config;
+        this.endsAt = performance.now() + msg.remaining * 1000;
+
+        this.scoreboard.style.display = 'flex';
+        this.updateScoreboard();
+        if (!entering) return;
+
+        const { recorder, stats, mapLoader } = this.network;
+        if (msg.state === 'countdown') {
+            // 新しい試合: ゲストは resetMatch を通らないので、ここでリマッチの希望を戻す
+            if (msg.round === 1) this.rematch = { host: false, guest: false };
+            if (recorder && msg.round === 1) recorder.start(this.network.role, mapLoader ? mapLoader.current : null);
+            if (stats && msg.round === 1) {
+                stats.startMatch({
+                    opponent: this.network.opponentName,
+                    mode: this.config.mode,
+                    map: mapLoader && mapLoader.current ? mapLoader.current.name : null
+                });
+            }
+            if (recorder) recorder.recordRound(msg.round, msg.score);
+            if (this.network.killcam) this.network.killcam.stop();
+            this.results.style.display = 'none';
+            this.resetLocalPlayer();
+            this.player.isFrozen = true;
+        } else if (msg.state === 'live') {
+            this.player.isFrozen = false;
+            this.announce('FIGHT', 800);
+        } else if (msg.state === 'roundEnd') {
+            this.player.isFrozen = true;
+            this.announce(this.describeWinner(msg.roundWinner, 'ラウンド'), this.config.roundEndDelay * 1000);
+        } else if (msg.state === 'matchEnd') {
+            if (recorder) {
+                recorder.recordRound(msg.round, msg.score);
+                recorder.stop();
+            }
+            if (stats) {
+                const { role, opponentRole } = this.network;
+                const result = !msg.winner ? 'draw' : msg.winner === role ? 'win' : 'loss';
+                stats.finishMatch(result, [msg.score[role], msg.score[opponentRole]]);
+            }
+            this.player.isFrozen = true;
+            if (this.network.feedback) this.network.feedback.hideDeath();
+            this.showResults();
+        }
+    }
+
+    update() {
+        if (this.isPaused || this.state === 'idle' || this.state === 'matchEnd') return;
+
+        const remaining = Math.max(0, this.endsAt - performance.now());
+        if (this.state === 'countdown') {
+            this.banner.innerText = String(Math.ceil(remaining / 1000) || 'FIGHT');
+            this.banner.classList.add('active');
+        } else if (this.state === 'live') {
+            const sec = Math.ceil(remaining / 1000);
+            this.roundTimer.innerText = formatClock(sec);
+        }
+
+        if (!this.isHost || remaining > 0) return;
+
+        if (this.state === 'countdown') {
+            this.setState('live', this.config.roundTime);
+        } else if (this.state === 'live') {
+            this.onTimeout();
+        } else if (this.state === 'roundEnd') {
+            this.startRound();
+        }
+    }
+
+    resetLocalPlayer() {
+        // ラウンド開始位置 (ホストとゲストはマップの反対側から)
+        // ゲストの位置はホストが決めて teleport で送る
+        if (this.isHost) {
+            const spawns = this.network.spawns;
+            spawns.place(this.player, spawns.initialSpawn(this.network.role));
+            this.network.placeRemote(spawns.initialSpawn(this.network.opponentRole));
+        }
+        this.network.awaitingSpawn = false;
+        this.player.refillWeapons();
+
+        this.network.resetVitals();
+    }
+
+    // --- Connection ---
+    pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        this.pausedAt = performance.now();
+        this.wasFrozen = this.player.isFrozen;
+        this.player.isFrozen = true;
+        this.banner.innerText = 'PAUSED';
+        this.banner.classList.add('active');
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.endsAt += performance.now() - this.pausedAt;
+        this.player.isFrozen = this.wasFrozen;
+        this.banner.classList.remove('active');
+
+        // 止まっていた間の分だけ延ばした残り時間をゲストに合わせ直す
+        if (this.isHost && this.state !== 'idle' && this.state !== 'matchEnd') {
+            this.setState(this.state, Math.max(0, this.endsAt - performance.now()) / 1000);
+        }
+    }
+
+    // 再接続できなかった: 試合中なら残った側の勝ち (相手には届かないのでローカルだけで終える)
+    onOpponentLeft() {
+        this.isPaused = false;
+        const inProgress = this.state !== 'idle' && this.state !== 'matchEnd';
+        if (inProgress) {
+            this.winner = this.network.role;
+            this.applyState({
+                type: 'match', state: 'matchEnd', round: this.round, score: { ...this.score },
+                remaining: 0, winner: this.winner, config: this.config
+            });
+        } else {
+            this.showResults();
+        }
+        this.rematchButton.disabled = true;
+        this.rematchStatus.innerText = '相手との接続が切れました';
+    }
+
+    // ロビーに戻る時に試合の表示と状態を初期化する
+    reset() {
+        this.state = 'idle';
+        this.isPaused = false;
+        this.resetMatch();
+        clearTimeout(this.bannerTimer);
+        this.banner.classList.remove('active');
+        this.scoreboard.style.display = 'none';
+        this.results.style.display = 'none';
+    }
+
+    // --- Rematch ---
+    requestRematch() {
+        const role = this.network.role;
+        if (this.state !== 'matchEnd' || this.rematch[role]) return;
+        this.rematch[role] = true;
+        this.network.send({ type: 'match', request: 'rematch' });
+        this.rematchStatus.innerText = '相手の返答待ち...';
+        this.checkRematch();
+    }
+
+    checkRematch() {
+        if (!this.isHost || !this.rematch.host || !this.rematch.guest) return;
+        this.resetMatch();
+        this.startRound();
+    }
+
+    // --- UI ---
+    updateScoreboard() {
+        const { role, opponentRole } = this.network;
+        this.scoreYou.innerText = this.score[role];
+        this.scoreEnemy.innerText = this.score[opponentRole];
+        this.roundLabel.innerText = this.config.mode === 'kills'
+            ? `FIRST TO ${this.config.killsToWin}`
+            : `ROUND ${this.round}`;
+        if (this.state !== 'live') {
+            const sec = this.config.roundTime;
+            this.roundTimer.innerText = formatClock(sec);
+        }
+    }
+
+    describeWinner(winner, prefix) {
+        if (!winner) return `${prefix}引き分け`;
+        return winner === this.network.role ? `${prefix}勝利` : `${prefix}敗北`;
+    }
+
+    announce(text, duration) {
+        this.banner.innerText = text;
+        this.banner.classList.add('active');
+        clearTimeout(this.bannerTimer);
+        this.bannerTimer = setTimeout(() => this.banner.classList.remove('active'), duration);
+    }
+
+    showResults() {
+        const { role, opponentRole } = this.network;
+        this.banner.classList.remove('active');
+        this.resultTitle.innerText = this.winner ? (this.winner === role ? 'VICTORY' : 'DEFEAT') : 'DRAW';
+        this.resultTitle.className = this.winner === role ? 'win' : 'lose';
+        this.resultScore.innerText = `${this.score[role]} - ${this.score[opponentRole]}`;
+        this.rematchStatus.innerText = '';
+        this.rematchButton.disabled = false;
+        this.results.style.display = 'flex';
+        if (this.player.controls.isLocked) this.player.controls.unlock();
+    }
+}
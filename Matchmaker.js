@@ -0,0 +1,80 @@
+// ランダムマッチ: 決まった数のロビー枠 (ピア ID) を順に調べ、待っている人がいれば参加、空いていれば自分が枠を取って待つ
+// 二人が同時に同じ枠を取ろうとしても、ID が使用中だった側がそのまま参加に回るので両方が待ち続けることはない
+export const MATCHMAKING_CONFIG = {
+    lobbyPrefix: 'VAL_DUEL_LOBBY_',
+    slots: 8,
+    retryDelay: 3000 // ms, 全ての枠が対戦中だった時に最初から探し直すまで
+};
+
+// 参加・待機に失敗しても次の枠を試せるエラー (それ以外はサーバーに届いていない)
+// version: 枠を持っているのがバージョンの違うクライアント
+const SLOT_ERRORS = ['peer-unavailable', 'unavailable-id', 'full', 'version', 'timeout', 'closed'];
+
+export class Matchmaker {
+    constructor(network, config = MATCHMAKING_CONFIG) {
+        this.network = network;
+        this.config = config;
+        this.isSearching = false;
+        this.retryTimer = null;
+        this.onStatus = null;
+    }
+
+    // onStatus(text) で進み具合を知らせる
+    start(onStatus) {
+        this.cancel();
+        this.onStatus = onStatus;
+        this.isSearching = true;
+        this.tryJoin(0);
+    }
+
+    cancel() {
+        this.isSearching = false;
+        clearTimeout(this.retryTimer);
+    }
+
+    slotId(slot) {
+        return this.config.lobbyPrefix + slot;
+    }
+
+    // 枠で待っているホストに参加する (誰もいなければその枠を取る)
+    tryJoin(slot, claimed = false) {
+        if (!this.isSearching) return;
+        if (slot >= this.config.slots) {
+            this.status('全てのロビーが対戦中です - 再検索します...');
+            this.retryTimer = setTimeout(() => this.tryJoin(0), this.config.retryDelay);
+            return;
+        }
+
+        this.status(`対戦相手を検索中... (${slot + 1}/${this.config.slots})`);
+        this.network.joinRoom(null, this.slotId(slot), () => {
+            this.isSearching = false;
+            this.status('対戦相手が見つかりました');
+        }, (reason, code) => {
+            if (!this.isSearching) return;
+            if (!SLOT_ERRORS.includes(code)) return this.fail(reason);
+            // 取り合いに負けた枠でもう一度見つからなければ、相手が抜けたので次へ
+            if (code === 'peer-unavailable' && !claimed) return this.claim(slot);
+            this.tryJoin(slot + 1);
+        });
+    }
+
+    claim(slot) {
+        this.network.createRoom(this.slotId(slot), () => {
+            this.status(`対戦相手待機中... (ロビー ${slot + 1})`);
+        }, (reason, code) => {
+            if (!this.isSearching) return;
+            // 同時に取られた: その人が待っているので参加しに行く
+            if (code === 'unavailable-id') return this.tryJoin(slot, true);
+            this.fail(reason);
+        });
+    }
+
+    fail(reason) {
+        this.isSearching = false;
+        this.status('マッチングに失敗しました: ' + reason);
+    }
+
+    status(text) {
+        if (this.onStatus) this.onStatus(text);
+    }
+}
@@ -0,0 +1,94 @@
+// Matchmaker の枠の選び方 (node --test、PeerJS の代わりに呼び出しを記録するだけの network を使う)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Matchmaker } from './Matchmaker.js';
+
+const CONFIG = { lobbyPrefix: 'LOBBY_', slots: 3, retryDelay: 1000 };
+
+// joinRoom / createRoom の呼び出しを記録し、テストから成功・失敗を返す
+function stubNetwork() {
+    return {
+        calls: [],
+        joinRoom(id, targetId, onJoined, onFail) {
+            this.calls.push({ type: 'join', id: targetId, done: onJoined, fail: onFail });
+        },
+        createRoom(id, onReady, onFail) {
+            this.calls.push({ type: 'create', id, done: onReady, fail: onFail });
+        },
+        get last() {
+            return this.calls.at(-1);
+        }
+    };
+}
+
+function start() {
+    const network = stubNetwork();
+    const matchmaker = new Matchmaker(network, CONFIG);
+    const statuses = [];
+    matchmaker.start((text) => statuses.push(text));
+    return { network, matchmaker, statuses };
+}
+
+const steps = (network) => network.calls.map(c => `${c.type} ${c.id}`);
+
+test('an empty slot is claimed and waited in', () => {
+    const { network, matchmaker } = start();
+    network.last.fail('相手が見つかりません', 'peer-unavailable');
+    network.last.done();
+
+    assert.deepEqual(steps(network), ['join LOBBY_0', 'create LOBBY_0']);
+    assert.equal(matchmaker.isSearching, true);
+    matchmaker.cancel();
+});
+
+test('a slot held by another protocol version is skipped', () => {
+    const { network, matchmaker } = start();
+    network.last.fail('ゲームのバージョンが相手と異なります', 'version');
+    network.last.done();
+
+    assert.deepEqual(steps(network), ['join LOBBY_0', 'join LOBBY_1']);
+    assert.equal(matchmaker.isSearching, false);
+});
+
+test('losing the race for a slot joins its new holder, then moves on if it is gone', () => {
+    const { network, matchmaker } = start();
+    network.last.fail('相手が見つかりません', 'peer-unavailable');
+    network.last.fail('このIDは既に使われています', 'unavailable-id');
+    network.last.fail('相手が見つかりません', 'peer-unavailable');
+
+    assert.deepEqual(steps(network), ['join LOBBY_0', 'create LOBBY_0', 'join LOBBY_0', 'join LOBBY_1']);
+    assert.equal(matchmaker.isSearching, true);
+    matchmaker.cancel();
+});
+
+test('joining with a taken ID moves on to the next slot', () => {
+    const { network, matchmaker } = start();
+    network.last.fail('このIDは既に使われています', 'unavailable-id');
+
+    assert.deepEqual(steps(network), ['join LOBBY_0', 'join LOBBY_1']);
+    matchmaker.cancel();
+});
+
+test('after the last slot it searches again from the first', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { network, matchmaker } = start();
+    for (let i = 0; i < CONFIG.slots; i++) network.last.fail('ルームは対戦中です', 'full');
+    assert.equal(network.calls.length, CONFIG.slots);
+
+    t.mock.timers.tick(CONFIG.retryDelay);
+    assert.equal(steps(network).at(-1), 'join LOBBY_0');
+    matchmaker.cancel();
+});
+
+test('errors that are not about the slot stop the search', () => {
+    const { network, matchmaker, statuses } = start();
+    network.last.fail('サーバーに接続できませんでした', 'network');
+
+    assert.equal(network.calls.length, 1);
+    assert.equal(matchmaker.isSearching, false);
+    assert.match(statuses.at(-1), /マッチングに失敗しました/);
+
+    // 止めた後に届いた失敗は無視する
+    network.last.fail('相手が見つかりません', 'peer-unavailable');
+    assert.equal(network.calls.length, 1);
+});
@@ -1,5 +1,45 @@
 import { Peer } from 'peerjs';
 import * as THREE from 'three';
+import { StateHistory } from './StateHistory.js';
+import { WEAPONS } from './Weapons.js';
+import { createPlayerModel, findHitZone, zoneMultiplier } from './PlayerModel.js';
+import { Vitals } from './Vitals.js';
+import { SPAWN_CONFIG } from './SpawnManager.js';
+import { MOVEMENT_CONFIG, TICK_RATE, createPlayerState, simulateTick } from './PlayerSimulation.js';
+import { getPeerOptions } from './PeerConfig.js';
+import { FootstepTracker } from './AudioManager.js';
+import { PeerValidator } from './PeerValidator.js';
+import { PROTOCOL_VERSION, decodeMessage, encodeMessage } from './Protocol.js';
+
+// ホスト側のヒット判定設定
+const MAX_REWIND = 500;        // ms, ラグコンペンセーションで巻き戻す上限
+const MAX_ORIGIN_ERROR = 3.0;  // 射撃位置と最後に確認した位置の許容誤差
+const SHOT_RANGE = 200;
+
+// スナップショット補間の設定
+const INTERP_DELAY = 100;      // ms, 相手をこの分だけ過去に描画する
+const MAX_EXTRAPOLATE = 150;   // ms, パケットが途切れた時に外挿する上限
+
+// 接続管理
+const JOIN_TIMEOUT = 3000;        // ms
+const HEARTBEAT_INTERVAL = 1000;  // ms
+const DISCONNECT_TIMEOUT = 4000;  // ms, この間何も届かなければ切断とみなす
+const RECONNECT_GRACE = 20000;    // ms, 再接続を待つ猶予
+const RECONNECT_RETRY = 2000;     // ms, ゲストが接続し直す間隔
+const CONNECT_ERRORS = {
+    'peer-unavailable': '相手が見つかりません',
+    'unavailable-id': 'このIDは既に使われています',
+    'full': 'ルームは対戦中です',
+    'version': 'ゲームのバージョンが相手と異なります',
+    'timeout': '接続がタイムアウトしました',
+    'closed': '接続が切れました'
+};
+
+// 入力コマンド
+const MAX_SEND_COMMANDS = 32;  // 1 パケットで再送する未確認コマンドの上限
+const MAX_TICK_BUDGET = 30;    // ホストが一度に進めるゲストのティック数の上限 (速度改ざん対策)
+const RECONCILE_EPSILON = 0.01; // 予測とホストの結果がこれ以上ずれたら巻き戻して再計算
+const KEY_BITS = ['forward', 'backward', 'left', 'right', 'jump', 'sprint', 'crouch', 'fire'];
 
 export class NetworkManager {
     constructor(scene, player) {
@@ -8,159 +48,985 @@ export class NetworkManager {
         this.peer = null;
         this.conn = null;
         this.isHost = false;
+        this.connState = 'idle'; // idle | connecting | connected | reconnecting | closed
+        this.hostId = null;
+        this.sessionId = null;
+        this.rtt = null;         // ms (平滑化したもの)
+        this.lastReceived = 0;
         this.remotePlayerMesh = null;
-        this.health = 100;
+
+        // 体力・シールド (ホストが両者分の正式な値を持ち、ゲストは表示用に追従する)
+        this.vitals = { host: new Vitals(), guest: new Vitals() };
+
+        // ラグコンペンセーション用の位置履歴 (ホストが判定に使う)
+        this.localHistory = new StateHistory();
+        this.remoteHistory = new StateHistory();
+        this.remoteViewTime = 0; // 画面に表示している相手の状態の時刻 (相手の時計)
+
+        // スナップショット補間
+        this.sendSeq = 0;
+        this.remoteSeq = -1;
+        this.clockOffset = null; // 相手の時計 - 自分の時計 (遅延込みの推定値)
+
+        // 入力コマンド: ゲストは入力だけを送り、ホストが両者を同じ移動コードで動かす
+        // epoch はホストがゲストを瞬間移動させるたびに増え、それ以前のコマンドと状態は捨てる
+        this.inputEpoch = 0;
+        this.remoteSim = createPlayerState(); // ホストが持つゲストの正式な状態
+        this.remoteAck = 0;                  // ホストが処理したゲストの最新ティック
+        this.reconciledAck = 0;              // ゲストが照合済みの ack
+        this.tickBudget = MAX_TICK_BUDGET;
+        this.lastBudgetTime = performance.now();
+        this.awaitingSpawn = false;          // ゲストが復活位置の指示を待っている
+        this.match = null; // MatchManager (main.js で設定)
+        this.killcam = null; // Killcam (main.js で設定)
+        this.recorder = null; // ReplayRecorder (main.js で設定)
+        this.mapLoader = null; // MapLoader (main.js で設定)
+        this.spawns = null; // SpawnManager (main.js で設定)
+        this.feedback = null; // DamageFeedback (main.js で設定)
+        this.stats = null; // StatsTracker (main.js で設定)
+        this.chat = null; // Chat (main.js で設定)
+        this.bot = null; // Bot (オフライン対戦中のみ、ゲストの代わり)
+        this.remoteFootsteps = new FootstepTracker();
+
+        // 受信した相手の動きの妥当性チェック
+        this.validator = new PeerValidator(this);
+        this.validator.onFlag = () => this.showCheatWarning();
+        this.validator.onKick = (type) => this.kickPeer(type);
 
         this.initRemotePlayerMesh();
     }
 
+    get role() {
+        return this.isHost ? 'host' : 'guest';
+    }
+
+    get opponentRole() {
+        return this.isHost ? 'guest' : 'host';
+    }
+
+    // 状態を送る相手がいる (接続中の相手かボット)
+    get hasOpponent() {
+        return !!this.bot || !!(this.conn && this.conn.open);
+    }
+
+    // キルフィード・死亡画面に出す相手の名前
+    get opponentName() {
+        return this.bot ? `BOT (${this.bot.difficulty.name})` : '相手プレイヤー';
+    }
+
+    get health() {
+        return this.vitals[this.role].health;
+    }
+
     initRemotePlayerMesh() {
-        // 他のプレイヤーの見た目（簡易カプセル）
-        const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0xff0055 });
-        this.remotePlayerMesh = new THREE.Mesh(geometry, material);
+        // 他のプレイヤーの見た目（頭・胴・脚に分かれた当たり判定）
+        this.remotePlayerMesh = createPlayerModel();
         this.remotePlayerMesh.position.set(0, -10, 0); // 初期は画面外
         this.scene.add(this.remotePlayerMesh);
 
-        // ヘルム（前を向いているか分かるように）
-        const eyeGeo = new THREE.BoxGeometry(0.6, 0.2, 0.2);
-        const eyeMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
-        const eyes = new THREE.Mesh(eyeGeo, eyeMat);
-        eyes.position.set(0, 0.5, 0.4);
-        this.remotePlayerMesh.add(eyes);
+        // ホストが過去の位置で再判定するための不可視の当たり判定
+        this.hitProxy = this.remotePlayerMesh.clone();
+
+        // 頭上のシールドゲージ (常にカメラの方を向く)
+        this.remoteShieldBar = new THREE.Group();
+        const barBack = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 0.08),
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.5 })
+        );
+        const barGeo = new THREE.PlaneGeometry(1, 0.08);
+        barGeo.translate(0.5, 0, 0);
+        this.remoteShieldFill = new THREE.Mesh(barGeo, new THREE.MeshBasicMaterial({ color: 0x00f2ff }));
+        this.remoteShieldFill.position.set(-0.5, 0, 0.001);
+        this.remoteShieldBar.add(barBack, this.remoteShieldFill);
+        this.remoteShieldBar.visible = false;
+        this.scene.add(this.remoteShieldBar);
     }
 
+    // id を省略するとサーバーがランダムな ID を割り当てる
     setupPeer(id, onReady) {
-        this.peer = new Peer(id);
+        const peer = new Peer(id || undefined, getPeerOptions());
+        this.peer = peer;
 
-        this.peer.on('open', (peerId) => {
+        // 作り直した後に古いピアから届くイベントは無視する
+        peer.on('open', (peerId) => {
+            if (peer !== this.peer) return;
             console.log('My peer ID is: ' + peerId);
             onReady(peerId);
         });
 
-        this.peer.on('connection', (connection) => {
+        peer.on('connection', (connection) => {
+            if (peer !== this.peer) return;
             console.log('Incoming connection...');
-            this.handleConnection(connection);
+            this.onIncomingConnection(connection);
+        });
+
+        // シグナリングサーバーとの接続だけが切れた場合 (P2P の接続は生きている)
+        peer.on('disconnected', () => {
+            if (peer === this.peer && !peer.destroyed) peer.reconnect();
         });
 
-        this.peer.on('error', (err) => {
+        peer.on('error', (err) => {
             console.error('PeerJS error:', err);
+            if (peer !== this.peer) return;
+            // 接続前のエラー (ID が使用中・参加先が無い・サーバーに届かない) は呼び出し元に返す
+            // 再接続中はホストの復帰を待ってリトライを続ける
+            if (this.connState === 'connecting') this.failConnect(err.type);
         });
     }
 
-    createRoom(id, onReady) {
+    // ホストとして待つ (onReady は ID の登録後、ゲストが来るまでの間に呼ばれる)
+    createRoom(id, onReady, onFail) {
+        this.teardown();
         this.isHost = true;
+        this.placeLocal();
+        this.connState = 'connecting';
+        this.onConnectFail = onFail;
         this.setupPeer(id, onReady);
     }
 
-    joinRoom(id, targetId, onReady) {
+    // ホストに参加する (onJoined はホストに受け入れられた時に呼ばれる)
+    joinRoom(id, targetId, onJoined, onFail) {
+        this.teardown();
         this.isHost = false;
-        this.setupPeer(id, (myId) => {
-            const connection = this.peer.connect(targetId);
+        this.placeLocal();
+        this.hostId = targetId;
+        this.connState = 'connecting';
+        this.onJoined = onJoined;
+        this.onConnectFail = onFail;
+        this.setupPeer(id, () => {
+            this.connectToHost();
 
-            // 接続タイムアウトやエラーを監視
-            const timeout = setTimeout(() => {
-                if (!this.conn) {
+            // 接続タイムアウト
+            this.joinTimer = setTimeout(() => {
+                if (this.connState === 'connecting') {
                     console.log("Connection timed out");
-                    this.peer.destroy();
+                    this.failConnect('timeout');
                 }
-            }, 3000);
+            }, JOIN_TIMEOUT);
+        });
+    }
 
-            connection.on('error', (err) => {
-                console.log("Connect error:", err);
-                this.peer.destroy();
-            });
+    // onFail(理由の文, エラーの種類) ― 種類は PeerJS のエラー型か 'full' | 'timeout' | 'closed'
+    failConnect(code) {
+        const onFail = this.onConnectFail;
+        this.teardown();
+        if (onFail) onFail(CONNECT_ERRORS[code] || 'サーバーに接続できません', code);
+    }
 
-            this.handleConnection(connection);
-            onReady(myId);
-        });
+    connectToHost() {
+        this.handleConnection(this.peer.connect(this.hostId));
+    }
+
+    // ホスト: 対戦中なら満員と伝えて断り、待機中なら hello、再接続待ちなら rejoin で相手を確かめる
+    onIncomingConnection(connection) {
+        if (this.connState !== 'connecting' && this.connState !== 'reconnecting') {
+            connection.on('open', () => {
+                connection.send({ type: 'full' });
+                setTimeout(() => connection.close(), 1000);
+            });
+            return;
+        }
+        this.handleConnection(connection);
     }
 
     handleConnection(connection) {
+        if (this.conn && this.conn !== connection) this.conn.close();
         this.conn = connection;
-        this.conn.on('open', () => {
+
+        connection.on('open', () => {
+            if (connection !== this.conn) return;
             console.log('Connected to peer!');
-            // データ送信ループ開始
-            setInterval(() => this.sendState(), 1000 / 30); // 30Hz
+            // ゲストはホストから session が届いたら (受け入れられたら) 接続完了
+            if (!this.isHost && this.connState === 'connecting') {
+                this.send({ type: 'hello', version: PROTOCOL_VERSION });
+            } else if (!this.isHost && this.connState === 'reconnecting') {
+                this.send({ type: 'rejoin', session: this.sessionId });
+            }
+        });
+
+        connection.on('data', (data) => {
+            if (connection !== this.conn) return;
+            this.lastReceived = performance.now();
+            const msg = decodeMessage(data);
+            if (!msg) {
+                console.warn('Dropped invalid packet:', data);
+                return;
+            }
+            this.onReceiveData(msg);
         });
 
-        this.conn.on('data', (data) => {
-            this.onReceiveData(data);
+        connection.on('close', () => {
+            if (connection !== this.conn) return;
+            if (!this.isHost && this.connState === 'connecting') {
+                this.failConnect('closed');
+            } else {
+                this.onConnectionLost();
+            }
+        });
+
+        connection.on('error', (err) => {
+            console.log("Connection error:", err);
+            if (connection === this.conn) this.onConnectionLost();
         });
     }
 
-    sendState() {
+    onConnectionEstablished(resumed) {
+        this.onConnectFail = null;
+        clearTimeout(this.joinTimer);
+        clearInterval(this.reconnectTimer);
+        this.connState = 'connected';
+        this.lastReceived = performance.now();
+        this.hideConnectionNotice();
+
+        // データ送信ループと死活監視
+        clearInterval(this.sendTimer);
+        clearInterval(this.heartbeatTimer);
+        this.sendTimer = setInterval(() => this.sendState(), 1000 / 30); // 30Hz
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+        if (resumed) {
+            this.validator.allowTeleport();
+        } else {
+            this.validator.reset();
+        }
+
+        if (this.isHost) {
+            if (!resumed) {
+                // 再接続時に同じ相手か確かめるための ID
+                this.sessionId = Math.random().toString(36).slice(2);
+                this.send({ type: 'session', id: this.sessionId });
+            }
+            // ホストが選んだマップを相手に送る (試合開始より先に届く)
+            if (this.mapLoader && this.mapLoader.current) {
+                this.send({ type: 'map', map: this.mapLoader.current });
+            }
+            if (!resumed && this.spawns) this.placeRemote(this.spawns.initialSpawn(this.opponentRole));
+        } else if (!resumed && this.onJoined) {
+            this.onJoined();
+        }
+
+        if (this.chat) this.chat.onConnected(resumed);
+
+        if (!this.match) return;
+        if (resumed) {
+            this.match.resume();
+        } else {
+            this.match.onConnected();
+        }
+    }
+
+    // オフライン対戦: 自分がホストになり、ボットをゲストとして同じ経路で動かす
+    startBot(bot) {
+        this.teardown();
+        this.isHost = true;
+        this.placeLocal();
+        this.bot = bot;
+        this.connState = 'connected';
+        this.clockOffset = 0; // ボットの時計は自分の時計
+        this.sendTimer = setInterval(() => this.sendState(), 1000 / 30);
+
+        if (this.spawns) this.placeRemote(this.spawns.initialSpawn(this.opponentRole));
+        if (this.match) this.match.onConnected();
+    }
+
+    // 切断を検知したら試合を止め、猶予時間の間は再接続を試みる
+    onConnectionLost() {
+        if (this.connState !== 'connected') return;
+        console.log('Connection lost');
+        this.connState = 'reconnecting';
+        this.reconnectDeadline = performance.now() + RECONNECT_GRACE;
+        this.nextRetry = performance.now() + RECONNECT_RETRY;
+        clearInterval(this.sendTimer);
+        clearInterval(this.heartbeatTimer);
+        if (this.conn) this.conn.close();
+        if (this.match) this.match.pause();
+
+        this.updateReconnect();
+        this.reconnectTimer = setInterval(() => this.updateReconnect(), 500);
+    }
+
+    updateReconnect() {
+        const remaining = this.reconnectDeadline - performance.now();
+        if (remaining <= 0) {
+            this.giveUpReconnect();
+            return;
+        }
+        this.showConnectionNotice(`接続が切れました - 再接続中... (${Math.ceil(remaining / 1000)})`);
+
+        // ゲストから同じルームにつなぎ直す (ホストは待つだけ)
+        if (this.isHost || performance.now() < this.nextRetry) return;
+        this.nextRetry = performance.now() + RECONNECT_RETRY;
+        if (this.peer.disconnected) {
+            this.peer.reconnect();
+        } else if (!this.peer.destroyed) {
+            this.connectToHost();
+        }
+    }
+
+    // 違反が続く相手を切断し、試合は相手の棄権として終える
+    kickPeer(type) {
+        if (this.bot || this.connState !== 'connected') return;
+        console.warn('Kicking peer:', type, this.validator.log);
+        this.send({ type: 'kick', reason: type });
+        this.closeSession('不正な動作が続いたため相手を切断しました');
+        if (this.match) this.match.onOpponentLeft();
+    }
+
+    // 再接続せずに接続を終える (ロビーに戻るボタンを出す)
+    closeSession(text) {
+        clearInterval(this.sendTimer);
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.reconnectTimer);
+        this.connState = 'closed';
+        const connection = this.conn;
+        this.conn = null;
+        // 直前に送ったメッセージが届くのを待ってから閉じる
+        if (connection) setTimeout(() => connection.close(), 500);
+        this.showConnectionNotice(text, true);
+    }
+
+    showCheatWarning() {
+        const warning = document.getElementById('cheat-warning');
+        if (!warning) return;
+        warning.style.display = 'block';
+        clearTimeout(this.cheatWarningTimer);
+        this.cheatWarningTimer = setTimeout(() => this.hideCheatWarning(), 4000);
+    }
+
+    hideCheatWarning() {
+        clearTimeout(this.cheatWarningTimer);
+        const warning = document.getElementById('cheat-warning');
+        if (warning) warning.style.display = 'none';
+    }
+
+    giveUpReconnect() {
+        clearInterval(this.reconnectTimer);
+        this.connState = 'closed';
+        if (this.conn) this.conn.close();
+        this.conn = null;
+        this.showConnectionNotice('相手との接続が切れました', true);
+        if (this.match) this.match.onOpponentLeft();
+    }
+
+    heartbeat() {
+        const now = performance.now();
+        if (now - this.lastReceived > DISCONNECT_TIMEOUT) {
+            this.onConnectionLost();
+            return;
+        }
+        this.send({ type: 'ping', t: now });
+    }
+
+    // 接続・タイマーをすべて片付けて、新しい試合を始められる状態に戻す
+    teardown() {
+        clearTimeout(this.joinTimer);
+        clearInterval(this.sendTimer);
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.reconnectTimer);
+        if (this.conn) this.conn.close();
+        if (this.peer && !this.peer.destroyed) this.peer.destroy();
+        this.conn = null;
+        this.peer = null;
+        this.connState = 'idle';
+        this.sessionId = null;
+        this.onJoined = null;
+        this.onConnectFail = null;
+        this.rtt = null;
+        this.bot = null;
+
+        this.localHistory.clear();
+        this.remoteHistory.clear();
+        this.remoteFootsteps.reset();
+        this.validator.reset();
+        this.sendSeq = 0;
+        this.remoteSeq = -1;
+        this.clockOffset = null;
+        this.inputEpoch = 0;
+        this.remoteSim = createPlayerState();
+        this.remoteAck = 0;
+        this.reconciledAck = 0;
+        this.awaitingSpawn = false;
+        this.resetVitals();
+
+        this.remotePlayerMesh.position.set(0, -10, 0);
+        this.remoteShieldBar.visible = false;
+        this.hideConnectionNotice();
+        this.hideCheatWarning();
+        this.updateNetHUD();
+    }
+
+    showConnectionNotice(text, canLeave = false) {
+        const notice = document.getElementById('connection-notice');
+        if (!notice) return;
+        document.getElementById('connection-text').innerText = text;
+        document.getElementById('btn-connection-leave').style.display = canLeave ? 'block' : 'none';
+        notice.style.display = 'flex';
+    }
+
+    hideConnectionNotice() {
+        const notice = document.getElementById('connection-notice');
+        if (notice) notice.style.display = 'none';
+    }
+
+    updateNetHUD() {
+        const stats = document.getElementById('net-stats');
+        if (!stats) return;
+        stats.innerText = this.rtt === null ? '' : `PING ${Math.round(this.rtt)}ms`;
+        stats.classList.toggle('bad', this.rtt !== null && this.rtt > 150);
+    }
+
+    send(msg) {
         if (!this.conn || !this.conn.open) return;
+        this.conn.send(encodeMessage(msg));
+    }
+
+    // 30Hz: ホストは自分と (ゲストの) 正式な状態を、ゲストは入力コマンドを送る
+    sendState() {
+        if (!this.hasOpponent) return;
+
+        const t = performance.now();
+        const { pos, yaw, pitch } = this.localPose();
+        if (this.recorder) this.recorder.recordTransform(this.role, pos, yaw, pitch);
+        if (!this.isHost) {
+            this.sendInputs();
+            return;
+        }
+        this.localHistory.push(t, pos, yaw, pitch);
 
+        const sim = this.remoteSim;
         const state = {
-            type: 'move',
+            type: 'state',
+            seq: this.sendSeq++,
+            t,
             pos: {
-                x: this.player.camera.position.x,
-                y: this.player.camera.position.y,
-                z: this.player.camera.position.z
+                x: pos.x,
+                y: pos.y,
+                z: pos.z
             },
             rot: {
-                y: this.player.camera.rotation.y
+                x: pitch,
+                y: yaw
             },
-            health: this.health
+            health: this.health,
+            shield: this.vitals[this.role].shield,
+            // ゲスト自身の照合用
+            epoch: this.inputEpoch,
+            ack: this.remoteAck,
+            you: {
+                pos: sim.pos, vel: sim.vel, eyeHeight: sim.eyeHeight,
+                onGround: sim.onGround, isCrouching: sim.isCrouching, isSliding: sim.isSliding
+            }
         };
-        this.conn.send(state);
+        this.send(state);
     }
 
-    sendShoot(pos, dir) {
-        if (!this.conn || !this.conn.open) return;
-        this.conn.send({ type: 'shoot', pos, dir });
+    // 自分の目線の位置と向き
+    // キルカム再生中はカメラが相手視点になっているので、倒された時点の姿勢を使う
+    localPose() {
+        if (this.killcam && this.killcam.isPlaying) {
+            const { pos, quat } = this.killcam.saved;
+            const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(quat);
+            return { pos, yaw: euler.y, pitch: euler.x };
+        }
+        return { pos: this.player.camera.position, ...this.player.getViewAngles() };
     }
 
-    sendHit() {
-        if (!this.conn || !this.conn.open) return;
-        this.conn.send({ type: 'hit', damage: 20 });
+    // ホストに確認されていないコマンドをまとめて送る (取りこぼしても次の送信で届く)
+    sendInputs() {
+        const cmds = this.player.inputHistory.slice(-MAX_SEND_COMMANDS).map(({ seq, t, input }) => ({
+            seq,
+            t,
+            keys: encodeKeys(input),
+            yaw: input.yaw,
+            pitch: input.pitch
+        }));
+        if (cmds.length) this.send({ type: 'input', epoch: this.inputEpoch, cmds });
+    }
+
+    // ホスト: ゲストの入力コマンドを順に適用する
+    onInput(data) {
+        if (data.epoch !== this.inputEpoch || !Array.isArray(data.cmds)) return;
+
+        // 実時間以上のティックは進めない
+        const now = performance.now();
+        this.tickBudget = Math.min(MAX_TICK_BUDGET, this.tickBudget + (now - this.lastBudgetTime) / 1000 * TICK_RATE);
+        this.lastBudgetTime = now;
+
+        const canMove = !this.vitals[this.opponentRole].isDead && (!this.match || this.match.canMove());
+        for (const cmd of data.cmds) {
+            if (!(cmd.seq > this.remoteAck) || !Number.isFinite(cmd.yaw) || !Number.isFinite(cmd.pitch)) continue;
+            if (this.tickBudget < 1) {
+                this.validator.checkInputBudget(data.cmds.filter(c => c.seq > this.remoteAck).length);
+                break;
+            }
+            this.tickBudget--;
+            this.remoteAck = cmd.seq;
+
+            const input = decodeKeys(cmd.keys);
+            input.yaw = cmd.yaw;
+            if (canMove) this.remoteSim = simulateTick(this.remoteSim, input, this.player.world, MOVEMENT_CONFIG);
+
+            const { pos, eyeHeight } = this.remoteSim;
+            const eye = { x: pos.x, y: pos.y + eyeHeight, z: pos.z };
+            this.remoteHistory.push(cmd.t, eye, cmd.yaw, cmd.pitch);
+            if (this.recorder) this.recorder.recordTransform(this.opponentRole, eye, cmd.yaw, cmd.pitch);
+            this.updateClockOffset(cmd.t);
+        }
+    }
+
+    // ゲスト: ホストの結果と自分の予測を照合し、ずれていれば確認済みの状態から入力を再計算する
+    reconcile(data) {
+        if (data.epoch !== this.inputEpoch || !data.you) return;
+        // 同じ ack の状態は照合済み
+        if (!(data.ack > this.reconciledAck)) return;
+        this.reconciledAck = data.ack;
+
+        const player = this.player;
+        const acked = player.inputHistory.find(c => c.seq === data.ack);
+        player.inputHistory = player.inputHistory.filter(c => c.seq > data.ack);
+
+        const server = data.you;
+        if (acked) {
+            const p = acked.state.pos;
+            const error = Math.hypot(p.x - server.pos.x, p.y - server.pos.y, p.z - server.pos.z);
+            if (error < RECONCILE_EPSILON) return;
+        }
+
+        let state = {
+            pos: { ...server.pos }, vel: { ...server.vel }, eyeHeight: server.eyeHeight,
+            onGround: server.onGround, isCrouching: server.isCrouching, isSliding: server.isSliding
+        };
+        // 補間の起点も置き換えないと、描画が古い位置から飛んでくる
+        let prevState = state;
+        for (const cmd of player.inputHistory) {
+            prevState = state;
+            state = simulateTick(state, cmd.input, player.world, MOVEMENT_CONFIG);
+            cmd.state = state;
+        }
+        player.prevState = prevState;
+        player.state = state;
+    }
+
+    // 役割が決まったら自分の陣営で待つ (ホストは A 側、ゲストは B 側)
+    placeLocal() {
+        if (this.spawns) this.spawns.place(this.player, this.spawns.initialSpawn(this.role));
+    }
+
+    // ホスト: ゲストを spawn に瞬間移動させる
+    placeRemote(spawn) {
+        const [x, y, z] = spawn.position;
+        const yaw = spawn.yaw || 0;
+        this.inputEpoch++;
+        this.remoteSim = createPlayerState(x, y, z, MOVEMENT_CONFIG);
+
+        // 補間で前の位置から滑らないよう履歴を作り直す (時刻は相手の時計の推定値)
+        const eye = { x, y: y + MOVEMENT_CONFIG.headHeight, z };
+        this.remoteHistory.clear();
+        this.remoteFootsteps.reset();
+        if (this.clockOffset !== null) this.remoteHistory.push(performance.now() + this.clockOffset, eye, yaw, 0);
+        this.send({ type: 'teleport', epoch: this.inputEpoch, pos: [x, y, z], yaw });
+    }
+
+    // ゲスト: ホストの指示で瞬間移動する
+    applyTeleport(data) {
+        const [x, y, z] = data.pos;
+        this.inputEpoch = data.epoch;
+        this.player.teleport(x, y, z, data.yaw);
+        if (this.awaitingSpawn) {
+            this.awaitingSpawn = false;
+            this.player.isFrozen = false;
+        }
+    }
+
+    sendShoot(pos, dirs, weapon) {
+        // 撃つとスポーン保護は解除される
+        this.vitals[this.role].protectedUntil = 0;
+        if (!this.hasOpponent) return;
+        // ゲストは射撃までの移動を先に届けて、ホストの射撃位置の確認に間に合わせる
+        if (!this.isHost) this.sendInputs();
+        const shot = {
+            type: 'shoot',
+            t: performance.now(),
+            viewTime: this.remoteViewTime,
+            weapon,
+            pos: { x: pos.x, y: pos.y, z: pos.z },
+            dirs: dirs.map(d => ({ x: d.x, y: d.y, z: d.z }))
+        };
+        this.send(shot);
+        if (this.killcam) this.killcam.recordShot(shot.t, 'local', pos, dirs);
+
+        // ホストは自分の射撃も同じ経路で判定する
+        if (this.isHost) this.validateShot(this.role, shot);
     }
 
     onReceiveData(data) {
-        if (data.type === 'move') {
-            const { pos, rot, health } = data;
-            this.remotePlayerMesh.position.set(pos.x, pos.y - 0.8, pos.z);
-            this.remotePlayerMesh.rotation.y = rot.y;
-            // リモートプレイヤーのヘルス表示などはオプション
+        // 接続直後: ホストは hello でバージョンを確かめ、ゲストはホストの返事 (受け入れ・満員・拒否) を待つ
+        if (this.connState === 'connecting') {
+            if (this.isHost && data.type === 'hello') {
+                if (data.version === PROTOCOL_VERSION) {
+                    this.onConnectionEstablished(false);
+                } else {
+                    const connection = this.conn;
+                    this.send({ type: 'reject', reason: 'version', version: PROTOCOL_VERSION });
+                    setTimeout(() => connection.close(), 1000);
+                }
+            } else if (!this.isHost && data.type === 'session') {
+                this.sessionId = data.id;
+                this.onConnectionEstablished(false);
+            } else if (!this.isHost && data.type === 'full') {
+                this.failConnect('full');
+            } else if (!this.isHost && data.type === 'reject') {
+                console.warn(`Protocol mismatch: local ${PROTOCOL_VERSION}, host ${data.version}`);
+                this.failConnect(data.reason);
+            }
+            return;
+        }
+
+        // 再接続の確認が済むまでは何も受け付けない
+        if (this.connState === 'reconnecting') {
+            if (data.type === 'rejoin' && this.isHost && data.session === this.sessionId) {
+                this.send({ type: 'rejoined' });
+                this.onConnectionEstablished(true);
+            } else if (data.type === 'rejoined' && !this.isHost) {
+                this.onConnectionEstablished(true);
+            } else if (data.type === 'rejoin') {
+                this.conn.close();
+            }
+            return;
+        }
+
+        if (data.type === 'ping') {
+            this.send({ type: 'pong', t: data.t });
+        } else if (data.type === 'pong') {
+            const rtt = performance.now() - data.t;
+            this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * 0.2;
+            this.updateNetHUD();
+        } else if (data.type === 'state') {
+            if (this.isHost) return;
+            const { seq, t, pos, rot, health, shield } = data;
+            // 遅れて届いた古いパケットは捨てる
+            if (seq <= this.remoteSeq) return;
+            this.remoteSeq = seq;
+            // マップ外の位置は使わない (体力・照合はそのまま)
+            if (this.validator.checkState(data)) {
+                this.remoteHistory.push(t, pos, rot.y, rot.x || 0);
+                if (this.recorder) this.recorder.recordTransform(this.opponentRole, pos, rot.y, rot.x || 0);
+            }
+            this.updateClockOffset(t);
+            // 描画は update() で補間して行う
+            // ホストの体力・シールドはホスト自身の値が正式
+            this.vitals.host.set(health, shield, performance.now());
+            this.reconcile(data);
+        } else if (data.type === 'input') {
+            if (this.isHost) this.onInput(data);
+        } else if (data.type === 'teleport') {
+            if (!this.isHost) this.applyTeleport(data);
         } else if (data.type === 'shoot') {
-            // 他人の弾筋を表示
-            const start = new THREE.Vector3(data.pos.x, data.pos.y, data.pos.z);
-            const dir = new THREE.Vector3(data.dir.x, data.dir.y, data.dir.z);
-            this.player.createTracer(start, dir);
+            if (this.validator.checkShot(data)) this.onRemoteShot(data);
         } else if (data.type === 'hit') {
-            // 自分が撃たれた
-            this.health -= data.damage;
-            console.log("I'M HIT! Health:", this.health);
+            // ホストの判定結果のみ受け付ける (確かめて記録はするが、覆さない)
+            if (this.isHost) return;
+            if (data.victim === this.role) this.validator.checkHit(data);
+            this.applyHit(data);
+        } else if (data.type === 'death') {
+            if (!this.isHost) this.applyDeath(data);
+        } else if (data.type === 'respawn') {
+            this.validator.allowTeleport();
+            this.onRemoteRespawn();
+        } else if (data.type === 'match') {
+            if (data.state === 'countdown') this.validator.allowTeleport();
+            if (this.match) this.match.onReceive(data);
+        } else if (data.type === 'kick') {
+            console.warn('Kicked by peer:', data.reason);
+            this.closeSession('相手に切断されました');
+            if (this.match) this.match.pause();
+        } else if (data.type === 'chat') {
+            if (this.chat) this.chat.receive(data);
+        } else if (data.type === 'map') {
+            if (this.isHost || !this.mapLoader) return;
+            // 読み込めないマップでは対戦できないので、今のマップのまま接続を終える
+            try {
+                this.mapLoader.load(data.map);
+            } catch (e) {
+                console.error('Invalid map from host:', e);
+                this.send({ type: 'kick', reason: 'map' });
+                this.closeSession('相手のマップを読み込めなかったため切断しました');
+                if (this.match) this.match.pause();
+            }
+        }
+    }
+
+    onRemoteShot(data) {
+        // 他人の弾筋と銃声 (撃った位置から聞こえる)
+        const start = new THREE.Vector3(data.pos.x, data.pos.y, data.pos.z);
+        this.player.playSound('shoot', { position: data.pos });
+        for (const d of data.dirs) {
+            this.player.createTracer(start, new THREE.Vector3(d.x, d.y, d.z));
+        }
+        if (this.recorder) this.recorder.recordShot(this.opponentRole, data.weapon, data.pos, data.dirs);
+        if (this.killcam) {
+            // 相手の時計の時刻を、相手を描画している自分の時刻に直して記録
+            const shownAt = this.clockOffset === null ? performance.now() : data.t - this.clockOffset + INTERP_DELAY;
+            this.killcam.recordShot(shownAt, 'remote', data.pos, data.dirs);
+        }
+        this.vitals[this.opponentRole].protectedUntil = 0;
+        if (this.isHost) this.validateShot(this.opponentRole, data);
+    }
+
+    // 倒された相手が復活した (ホストは生存中の回復要求を無視)
+    onRemoteRespawn() {
+        const remote = this.vitals[this.opponentRole];
+        if (this.isHost && !remote.isDead) return;
+        remote.reset();
+        remote.protect(performance.now(), SPAWN_CONFIG.protection);
+        // 復活位置はホストが決める (自分の位置から離れた、見通せない地点)
+        if (this.isHost && this.spawns) {
+            this.placeRemote(this.spawns.pickRespawn(this.localPose().pos, MOVEMENT_CONFIG.headHeight));
+        }
+    }
+
+    // 速く届いたパケットには即座に合わせ、遅れたパケットにはゆっくり追従する
+    updateClockOffset(remoteTime) {
+        const offset = remoteTime - performance.now();
+        if (this.clockOffset === null || offset > this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.02;
+        }
+    }
+
+    // 毎フレーム呼ぶ: シールド回復と、相手を INTERP_DELAY だけ過去の時刻で補間して描画
+    update(delta) {
+        if (this.bot) this.bot.update(delta);
+        const now = performance.now();
+        const shieldBefore = this.vitals[this.role].shield;
+        for (const v of Object.values(this.vitals)) v.update(delta, now);
+        if (this.vitals[this.role].shield !== shieldBefore) this.updateHUD();
+        this.updateProtectionHUD(now);
+        if (!this.isHost) {
+            const { pos, eyeHeight } = this.player.state;
+            this.validator.trackLocal(now, { x: pos.x, y: pos.y + eyeHeight, z: pos.z });
+        }
+
+        if (this.clockOffset === null) return;
+
+        const renderTime = performance.now() + this.clockOffset - INTERP_DELAY;
+        const state = this.remoteHistory.sample(renderTime, MAX_EXTRAPOLATE);
+        if (!state) return;
+
+        this.remoteViewTime = renderTime;
+        this.remotePlayerMesh.position.set(state.pos.x, state.pos.y - 0.8, state.pos.z);
+        this.remotePlayerMesh.rotation.y = state.rotY;
+
+        if (this.killcam) {
+            const { yaw, pitch } = this.player.getViewAngles();
+            this.killcam.recordLocal(now, this.player.camera.position, yaw, pitch);
+            this.killcam.recordRemote(now, state.pos, state.rotY, state.rotX);
+        }
+        if (this.killcam && this.killcam.isPlaying) return;
+
+        // 相手の足音・着地音 (表示している位置から鳴らす)
+        const step = this.remoteFootsteps.update(state.pos, delta);
+        if (step) this.player.playSound(step, { position: this.remotePlayerMesh.position });
+
+        const remote = this.vitals[this.opponentRole];
+        this.remoteShieldBar.visible = true;
+        this.remoteShieldBar.position.copy(this.remotePlayerMesh.position).y += 1.3;
+        this.remoteShieldBar.quaternion.copy(this.player.camera.quaternion);
+        this.remoteShieldFill.scale.x = Math.max(0.001, remote.shield / remote.config.maxShield);
+    }
+
+    // --- Host-authoritative hit validation ---
+    // 射撃時に撃った側が見ていた時刻まで標的を巻き戻し、レイを撃ち直す
+    validateShot(shooter, shot) {
+        const target = shooter === 'host' ? 'guest' : 'host';
+        const shooterHistory = shooter === this.role ? this.localHistory : this.remoteHistory;
+        const targetHistory = target === this.role ? this.localHistory : this.remoteHistory;
+
+        // ラウンド外 (カウントダウン中など) の射撃は無効
+        if (this.match && this.match.state !== 'idle' && !this.match.isLive()) return;
+
+        const newest = targetHistory.latest();
+        if (!newest || this.vitals[target].isDead) return;
+        // 復活直後の相手には当たらない
+        if (this.vitals[target].isProtected(performance.now())) return;
+
+        // ダメージは武器定義から決める (送信側の値は信用しない)
+        const weapon = WEAPONS[shot.weapon];
+        if (!weapon) return;
+
+        // 射撃位置が最後に確認した位置から離れすぎていれば無効
+        const origin = new THREE.Vector3(shot.pos.x, shot.pos.y, shot.pos.z);
+        const shooterState = shooterHistory.latest();
+        if (!shooterState || shooterState.pos.distanceTo(origin) > MAX_ORIGIN_ERROR) return;
+
+        const viewTime = Math.max(shot.viewTime || 0, newest.t - MAX_REWIND);
+        const past = targetHistory.sample(viewTime);
+
+        this.hitProxy.position.set(past.pos.x, past.pos.y - 0.8, past.pos.z);
+        this.hitProxy.rotation.y = past.rotY;
+        this.hitProxy.updateMatrixWorld(true);
+
+        // 散弾は弾ごとに判定してダメージを合計する
+        let damage = 0;
+        let zone = null;
+        for (const d of shot.dirs.slice(0, weapon.pellets)) {
+            const dir = new THREE.Vector3(d.x, d.y, d.z);
+            if (dir.lengthSq() < 0.0001) continue;
+            const pelletZone = this.traceShot(origin, dir.normalize());
+            if (!pelletZone) continue;
+            damage += weapon.damage * zoneMultiplier(pelletZone, weapon);
+            // 一番価値の高い部位を代表として通知する
+            if (!zone || zoneMultiplier(pelletZone, weapon) > zoneMultiplier(zone, weapon)) zone = pelletZone;
+        }
+        damage = Math.round(damage);
+        if (damage === 0) return;
+
+        const vitals = this.vitals[target];
+        const absorbed = vitals.applyDamage(damage, performance.now());
+        const hit = {
+            type: 'hit', shooter, victim: target, weapon: weapon.id, zone, damage, absorbed,
+            health: vitals.health, shield: vitals.shield
+        };
+        this.send(hit);
+        this.applyHit(hit);
+
+        // 倒された側は復活するまで isDead のまま (追い打ちを受けない)
+        if (vitals.isDead) {
+            const death = { type: 'death', killer: shooter, victim: target, weapon: weapon.id, headshot: zone === 'head' };
+            this.send(death);
+            this.applyDeath(death);
+            if (this.match) this.match.onKill(shooter, target);
+        }
+    }
+
+    // 巻き戻した hitProxy のどの部位にレイが当たるか (障害物の裏は null)
+    traceShot(origin, dir) {
+        const raycaster = new THREE.Raycaster(origin, dir, 0, SHOT_RANGE);
+        const hits = raycaster.intersectObject(this.hitProxy, true);
+        if (!hits.length) return null;
+
+        if (this.player.world.intersectRay(raycaster.ray) < hits[0].distance) return null;
+        return findHitZone(hits[0].object);
+    }
+
+    applyHit(data) {
+        if (this.recorder) this.recorder.recordHit(data);
+        if (this.stats) this.stats.onHit(data, this.role);
+        // ホストは適用済み
+        if (!this.isHost) this.vitals[data.victim].set(data.health, data.shield, performance.now());
+
+        if (data.victim === this.role) {
+            // 自分が撃たれた (撃った相手の最後に分かっている位置を指す)
+            const shooter = this.remoteHistory.latest();
+            if (this.feedback) this.feedback.onDamaged(shooter && shooter.pos, data.damage);
+            this.player.playSound('damage');
             this.updateHUD();
-            if (this.health <= 0) {
-                // Killer is the data sender in P2P (implicitly)
-                this.sendDeath();
-                this.respawn();
+        } else if (data.shooter === this.role) {
+            const headshot = data.zone === 'head';
+            this.player.showHitmarker(headshot);
+            this.player.playSound('hit', { headshot });
+            if (this.feedback) {
+                const pos = this.remotePlayerMesh.position;
+                this.feedback.onDealtDamage({ x: pos.x, y: pos.y + (headshot ? 1.1 : 0.7), z: pos.z }, data.damage, headshot);
             }
-        } else if (data.type === 'death') {
-            // 相手を倒した
-            window.dispatchEvent(new CustomEvent('kill-notification', { detail: { victim: '相手プレイヤー' } }));
         }
     }
 
-    sendDeath() {
-        if (!this.conn || !this.conn.open) return;
-        this.conn.send({ type: 'death' });
+    applyDeath(data) {
+        if (this.recorder) this.recorder.recordDeath(data);
+        if (this.stats) this.stats.onDeath(data, this.role);
+        if (data.victim === this.role) {
+            // キルカムを見てから復活 (ラウンド制では次のラウンドまで待機)
+            this.player.isFrozen = true;
+            const respawns = !this.match || this.match.respawnsOnDeath();
+            const finish = () => {
+                if (!this.match || this.match.respawnsOnDeath()) {
+                    this.respawn();
+                } else if (this.feedback) {
+                    this.feedback.waitForRound();
+                }
+            };
+            const played = !!this.killcam && this.killcam.play(finish);
+            // すぐに復活する場合は出さない
+            if (this.feedback && (played || !respawns)) {
+                this.feedback.showDeath({
+                    killerName: this.opponentName,
+                    weapon: WEAPONS[data.weapon].name,
+                    headshot: data.headshot,
+                    killerVitals: this.vitals[data.killer],
+                    respawnAt: respawns ? performance.now() + this.killcam.remaining : null
+                });
+            }
+            if (!played) finish();
+            if (this.match) this.match.announce('ELIMINATED', 1500);
+        } else {
+            // 相手を倒した
+            window.dispatchEvent(new CustomEvent('kill-notification', { detail: { victim: this.opponentName, headshot: data.headshot } }));
+        }
     }
 
     updateHUD() {
+        const { health, shield, config } = this.vitals[this.role];
         const healthBar = document.getElementById('health-bar');
         if (healthBar) {
-            healthBar.style.width = `${this.health}%`;
+            healthBar.style.width = `${health / config.maxHealth * 100}%`;
+        }
+        const shieldBar = document.getElementById('shield-bar');
+        if (shieldBar) {
+            shieldBar.style.width = `${shield / config.maxShield * 100}%`;
         }
     }
 
+    updateProtectionHUD(now) {
+        const indicator = document.getElementById('spawn-protection');
+        if (!indicator) return;
+        const isProtected = this.vitals[this.role].isProtected(now);
+        indicator.style.display = isProtected ? 'block' : 'none';
+        // 保護中の相手は半透明で表示する
+        const opacity = this.vitals[this.opponentRole].isProtected(now) ? 0.4 : 1;
+        this.remotePlayerMesh.traverse((obj) => {
+            if (!obj.material || obj.material.opacity === opacity) return;
+            obj.material.transparent = opacity < 1;
+            obj.material.opacity = opacity;
+        });
+    }
+
+    resetVitals() {
+        for (const v of Object.values(this.vitals)) v.reset();
+        this.updateHUD();
+        if (this.feedback) this.feedback.clear();
+    }
+
     respawn() {
-        alert("You died! Respawning...");
-        this.health = 100;
+        if (this.feedback) this.feedback.hideDeath();
+        const vitals = this.vitals[this.role];
+        vitals.reset();
+        vitals.protect(performance.now(), SPAWN_CONFIG.protection);
+        this.send({ type: 'respawn' });
         this.updateHUD();
-        this.player.camera.position.set(Math.random() * 20 - 10, 1.7, Math.random() * 20 - 10);
-        this.player.velocity.set(0, 0, 0);
+        this.player.refillWeapons();
+
+        // 対戦中のゲストはホストが決めた位置への移動 (teleport) を待つ
+        if (!this.isHost && this.conn && this.conn.open) {
+            this.awaitingSpawn = true;
+            return;
+        }
+        this.player.isFrozen = false;
+
+        // 相手の最後に分かっている位置から離れた、見通せない地点に復活
+        const enemy = this.remoteHistory.latest();
+        const spawn = this.spawns.pickRespawn(enemy && enemy.pos, this.player.headHeight);
+        this.spawns.place(this.player, spawn);
     }
 }
+
+// キー入力 (+ 射撃) をビットにまとめる
+export function encodeKeys(input) {
+    return KEY_BITS.reduce((bits, key, i) => input[key] ? bits | (1 << i) : bits, 0);
+}
+
+function decodeKeys(bits) {
+    const input = {};
+    KEY_BITS.forEach((key, i) => input[key] = (bits & (1 << i)) !== 0);
+    return input;
+}
@@ -0,0 +1,37 @@
+// シグナリングサーバー (PeerServer) の接続先
+// 何も指定しなければ PeerJS の公開サーバーを使う。LAN などで自前のサーバーを使う場合は
+//   ビルド時: VITE_PEER_HOST / VITE_PEER_PORT / VITE_PEER_PATH / VITE_PEER_SECURE / VITE_PEER_KEY
+//   実行時:   URL に ?peer=192.168.0.10:9000/myapp (ビルド時の設定より優先)
+// 手元で試す時は `npx peer --port 9000` で立てたサーバーに ?peer=localhost:9000 で接続する
+const ENV = import.meta.env || {};
+
+export function getPeerOptions(env = ENV, search = globalThis.location ? location.search : '') {
+    const options = {};
+    if (env.VITE_PEER_HOST) options.host = env.VITE_PEER_HOST;
+    if (isPort(env.VITE_PEER_PORT)) options.port = Number(env.VITE_PEER_PORT);
+    if (env.VITE_PEER_PATH) options.path = env.VITE_PEER_PATH;
+    if (env.VITE_PEER_SECURE) options.secure = env.VITE_PEER_SECURE === 'true';
+    if (env.VITE_PEER_KEY) options.key = env.VITE_PEER_KEY;
+
+    const param = new URLSearchParams(search).get('peer');
+    if (param) Object.assign(options, parsePeerServer(param));
+    return options;
+}
+
+// '[https://]host[:port][/path]' → PeerJS のオプション (読めなければ空)
+export function parsePeerServer(text) {
+    const m = /^(?:(https?|wss?):\/\/)?([^/:]+)(?::(\d+))?(\/.*)?$/.exec(text.trim());
+    if (!m) return {};
+    const [, scheme, host, port, path] = m;
+    if (port && !isPort(port)) return {};
+    const options = { host };
+    if (scheme) options.secure = scheme === 'https' || scheme === 'wss';
+    if (port) options.port = Number(port);
+    if (path) options.path = path;
+    return options;
+}
+
+function isPort(text) {
+    const port = Number(text);
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
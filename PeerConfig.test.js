@@ -0,0 +1,49 @@
+// PeerConfig の動作確認 (node --test)
+// 読めない指定は無視して、ビルド時の設定か PeerJS の公開サーバーに戻ることを確かめる
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPeerOptions, parsePeerServer } from './PeerConfig.js';
+
+test('parsePeerServer reads host, port, path and scheme', () => {
+    assert.deepEqual(parsePeerServer('192.168.0.10:9000/myapp'), { host: '192.168.0.10', port: 9000, path: '/myapp' });
+    assert.deepEqual(parsePeerServer('localhost'), { host: 'localhost' });
+    assert.deepEqual(parsePeerServer(' https://peer.example.com '), { host: 'peer.example.com', secure: true });
+    assert.deepEqual(parsePeerServer('ws://peer.example.com:80'), { host: 'peer.example.com', port: 80, secure: false });
+});
+
+test('parsePeerServer ignores bad ports', () => {
+    assert.deepEqual(parsePeerServer('localhost:abc'), {});
+    assert.deepEqual(parsePeerServer('localhost:0'), {});
+    assert.deepEqual(parsePeerServer('localhost:70000'), {});
+    assert.deepEqual(parsePeerServer('localhost:'), {});
+});
+
+test('parsePeerServer ignores unknown schemes', () => {
+    assert.deepEqual(parsePeerServer('ftp://peer.example.com'), {});
+    assert.deepEqual(parsePeerServer('javascript:alert(1)'), {});
+});
+
+test('parsePeerServer ignores empty values', () => {
+    assert.deepEqual(parsePeerServer(''), {});
+    assert.deepEqual(parsePeerServer('   '), {});
+});
+
+test('getPeerOptions uses the build settings unless the URL overrides them', () => {
+    const env = {
+        VITE_PEER_HOST: 'peer.example.com',
+        VITE_PEER_PORT: '443',
+        VITE_PEER_PATH: '/duel',
+        VITE_PEER_SECURE: 'true',
+        VITE_PEER_KEY: 'key'
+    };
+    const built = { host: 'peer.example.com', port: 443, path: '/duel', secure: true, key: 'key' };
+    assert.deepEqual(getPeerOptions({}, ''), {});
+    assert.deepEqual(getPeerOptions(env, ''), built);
+    assert.deepEqual(getPeerOptions(env, '?peer=localhost:9000'), { ...built, host: 'localhost', port: 9000 });
+
+    // 読めない・空の ?peer= はビルド時の設定のまま
+    assert.deepEqual(getPeerOptions(env, '?peer=localhost:99999'), built);
+    assert.deepEqual(getPeerOptions(env, '?peer=ftp://localhost'), built);
+    assert.deepEqual(getPeerOptions(env, '?peer='), built);
+    assert.deepEqual(getPeerOptions({ VITE_PEER_HOST: 'lan', VITE_PEER_PORT: 'abc' }, ''), { host: 'lan' });
+});
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { WEAPONS } from './Weapons.js';
+import { MOVEMENT_CONFIG } from './PlayerSimulation.js';
+
+// 受信した相手の状態・射撃・命中の妥当性チェック (チート対策)
+// ホストは違反した射撃を捨てる (移動はホストが入力から計算するので改ざんできない)
+// ゲストはホストの判定を覆せないので、ホストの移動・射撃・命中を確かめて記録するだけ
+// 違反は重みを足した点数で数え (時間で減る)、一定を超えたら警告、さらに超えたら切断する
+export const ANTICHEAT_CONFIG = {
+    speedTolerance: 1.5,     // 移動の上限に掛ける余裕 (補間・パケットの揺らぎ)
+    positionSlack: 1.0,      // m, 量子化などの誤差
+    arrivalSlack: 250,       // ms, 受信間隔に足す揺らぎ
+    boundsMargin: 2,         // m, マップ外とみなすまでの余裕
+    fireRateTolerance: 0.8,  // 連射間隔がこの割合より短ければ違反
+    fireBurst: 1.5,          // 1 秒間に受け付ける射撃数 = 連射速度 × これ + 2
+    hitWindow: 1000,         // ms, 命中の根拠になる射撃を遡る時間
+    flagScore: 5,
+    kickScore: 15,
+    scoreDecay: 1,           // 1 秒あたりに減る点数
+    maxLog: 100
+};
+
+// 違反の種類と重み
+const VIOLATIONS = {
+    'out-of-bounds': 3,
+    'speed': 1,
+    'fire-rate': 2,
+    'origin-occluded': 3,
+    'input-rate': 1,
+    'damage': 5,
+    'hit-without-shot': 2,
+    'hit-through-wall': 2
+};
+
+export class PeerValidator {
+    constructor(network, config = ANTICHEAT_CONFIG) {
+        this.network = network;
+        this.config = config;
+        this.log = []; // { at, type, detail } (直近 maxLog 件)
+        this.onFlag = null; // (type) 初めて警告の点数を超えた時
+        this.onKick = null; // (type) 切断の点数を超えた時
+        this.reset();
+    }
+
+    get world() {
+        return this.network.player.world;
+    }
+
+    // 新しい相手・再接続ごとに呼ぶ (記録は残す)
+    reset() {
+        this.score = 0;
+        this.scoreTime = performance.now();
+        this.flagged = false;
+        this.kicked = false;
+        this.lastState = null;  // { t, arrival, pos }
+        this.shots = [];        // 受け付けた射撃の受信時刻 (直近 1 秒)
+        this.lastShotT = {};    // 武器 → 相手の時計での直前の射撃時刻
+        this.lastShot = null;   // { arrival, origin } 命中の確認用
+        this.trail = [];        // 自分の目線の位置 { t, pos } (直近 hitWindow)
+    }
+
+    // ゲスト: 毎フレームの自分の目線 (命中の確認用)
+    trackLocal(now, eye) {
+        this.trail.push({ t: now, pos: { x: eye.x, y: eye.y, z: eye.z } });
+        while (this.trail.length && now - this.trail[0].t > this.config.hitWindow) this.trail.shift();
+    }
+
+    // 復活・ラウンド開始の瞬間移動は移動量を確かめない
+    allowTeleport() {
+        this.lastState = null;
+    }
+
+    // --- Checks (false ならそのメッセージは使わない) ---
+    // ゲスト: ホストの位置 (目線)
+    checkState(msg) {
+        const now = performance.now();
+        const { pos } = msg;
+        if (!this.inBounds(pos)) {
+            this.report('out-of-bounds', `state (${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}, ${pos.z.toFixed(1)})`);
+            return false;
+        }
+
+        const last = this.lastState;
+        this.lastState = { t: msg.t, arrival: now, pos: { ...pos } };
+        if (!last) return true;
+
+        // 相手の時計の間隔は偽れるので、受信間隔 (+ 揺らぎ) も上限にする
+        const dt = Math.max(0, Math.min(msg.t - last.t, now - last.arrival + this.config.arrivalSlack)) / 1000;
+        const { maxAirSpeed, jumpForce, gravity } = MOVEMENT_CONFIG;
+        const { speedTolerance, positionSlack } = this.config;
+        const horizontal = Math.hypot(pos.x - last.pos.x, pos.z - last.pos.z);
+        const vertical = Math.abs(pos.y - last.pos.y);
+        const maxHorizontal = maxAirSpeed * dt * speedTolerance + positionSlack;
+        const maxVertical = (jumpForce * dt + 0.5 * gravity * dt * dt) * speedTolerance + positionSlack;
+        if (horizontal > maxHorizontal || vertical > maxVertical) {
+            this.report('speed', `moved ${horizontal.toFixed(1)}m / ${vertical.toFixed(1)}m in ${(dt * 1000).toFixed(0)}ms`);
+        }
+        return true;
+    }
+
+    // 両者: 相手の射撃 (連射速度・射撃位置)
+    checkShot(msg) {
+        const now = performance.now();
+        const weapon = WEAPONS[msg.weapon];
+        if (!this.inBounds(msg.pos)) {
+            this.report('out-of-bounds', `shot origin (${msg.pos.x.toFixed(1)}, ${msg.pos.y.toFixed(1)}, ${msg.pos.z.toFixed(1)})`);
+            return false;
+        }
+
+        const minInterval = 60000 / weapon.fireRate;
+        const lastT = this.lastShotT[weapon.id];
+        if (lastT !== undefined && msg.t - lastT < minInterval * this.config.fireRateTolerance) {
+            this.report('fire-rate', `${weapon.id} ${(msg.t - lastT).toFixed(0)}ms < ${minInterval.toFixed(0)}ms`);
+            return false;
+        }
+        this.shots = this.shots.filter(t => now - t < 1000);
+        if (this.shots.length >= weapon.fireRate / 60 * this.config.fireBurst + 2) {
+            this.report('fire-rate', `${this.shots.length + 1} shots in 1s`);
+            return false;
+        }
+
+        // 壁越しに射撃位置をずらしていないか (最後に分かっている目線から見えるか)
+        const shooter = this.network.remoteHistory.latest();
+        if (shooter && !this.canSee(shooter.pos, msg.pos)) {
+            this.report('origin-occluded', 'shot origin behind a wall');
+            return false;
+        }
+
+        this.shots.push(now);
+        this.lastShotT[weapon.id] = msg.t;
+        this.lastShot = { arrival: now, origin: msg.pos };
+        return true;
+    }
+
+    // ホスト: 1 回の input で進められるティック数を超えた
+    checkInputBudget(dropped) {
+        if (dropped > 0) this.report('input-rate', `${dropped} commands over budget`);
+    }
+
+    // ゲスト: ホストが判定した自分への命中 (直前の射撃から見えていたか、ダメージの上限)
+    checkHit(msg) {
+        const weapon = WEAPONS[msg.weapon];
+        const maxDamage = Math.ceil(weapon.damage * weapon.pellets * Math.max(1, weapon.headshotMultiplier));
+        if (msg.damage > maxDamage) {
+            this.report('damage', `${msg.damage} > ${maxDamage} (${weapon.id})`);
+        }
+
+        const now = performance.now();
+        const shot = this.lastShot;
+        if (!shot || now - shot.arrival > this.config.hitWindow) {
+            this.report('hit-without-shot', `${weapon.id} ${msg.damage}`);
+            return;
+        }
+        // ホストは撃った時点まで巻き戻して判定するので、直近の自分の位置のどこかが見えていればよい
+        const eyes = this.trail.length ? this.trail.map(s => s.pos) : [this.network.player.camera.position];
+        const visible = eyes.some(eye =>
+            this.canSee(shot.origin, eye) || this.canSee(shot.origin, { x: eye.x, y: eye.y - 0.8, z: eye.z })
+        );
+        if (!visible) this.report('hit-through-wall', `${weapon.id} ${msg.damage}`);
+    }
+
+    // --- Helpers ---
+    inBounds(pos) {
+        const limit = this.world.boundsRadius + this.config.boundsMargin;
+        return Math.hypot(pos.x, pos.z) <= limit && pos.y >= -limit && pos.y <= limit;
+    }
+
+    canSee(from, to) {
+        const origin = new THREE.Vector3(from.x, from.y, from.z);
+        const dir = new THREE.Vector3(to.x, to.y, to.z).sub(origin);
+        const dist = dir.length();
+        if (dist < 0.01) return true;
+        return this.world.intersectRay(new THREE.Ray(origin, dir.divideScalar(dist))) >= dist - 0.05;
+    }
+
+    report(type, detail) {
+        const now = performance.now();
+        this.score = Math.max(0, this.score - (now - this.scoreTime) / 1000 * this.config.scoreDecay) + VIOLATIONS[type];
+        this.scoreTime = now;
+
+        this.log.push({ at: new Date().toISOString(), type, detail });
+        if (this.log.length > this.config.maxLog) this.log.shift();
+        console.warn(`[anti-cheat] ${type}: ${detail} (score ${this.score.toFixed(1)})`);
+
+        if (!this.kicked && this.score >= this.config.kickScore) {
+            this.kicked = true;
+            if (this.onKick) this.onKick(type);
+        } else if (!this.flagged && this.score >= this.config.flagScore) {
+            this.flagged = true;
+            if (this.onFlag) this.onFlag(type);
+        }
+    }
+}
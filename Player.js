@@ -1,5 +1,15 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { CollisionWorld } from './CollisionWorld.js';
+import { WEAPONS, WEAPON_SLOTS, Weapon, shotDirections } from './Weapons.js';
+import { findHitZone } from './PlayerModel.js';
+import { DEFAULT_SETTINGS, keyCodes } from './Settings.js';
+import { MOVEMENT_CONFIG, TICK, MAX_TICKS_PER_FRAME, createPlayerState, simulateTick, interpolateEye } from './PlayerSimulation.js';
+import { quantizeYaw, quantizePitch } from './Protocol.js';
+import { FootstepTracker } from './AudioManager.js';
+
+const ADS_ZOOM = 1.5; // 右クリック中の FOV 倍率 (fov / ADS_ZOOM)
+const MAX_INPUT_HISTORY = 128; // 未確認の入力コマンドを保持する上限 (ティック)
 
 export class Player {
     constructor(camera, domElement, scene) {
@@ -7,28 +17,43 @@ export class Player {
         this.scene = scene;
         this.controls = new PointerLockControls(camera, domElement);
 
-        // Movement Settings (Non-smooth Kirka.io style)
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.direction = new THREE.Vector3();
-        this.moveSpeed = 16.0;
-        this.jumpForce = 56.0;    // High force for high gravity
-        this.gravity = 180.0;     // Very high gravity for heavy/snappy feel
-        this.friction = 15.0;     // Stable high friction
+        // Movement (固定ティックでシミュレーションし、描画はティック間を補間する)
+        // ホストの再計算・ボット・PeerValidator と同じ設定を使う (コピーしない)
+        this.movement = MOVEMENT_CONFIG;
+        this.state = createPlayerState();
+        this.prevState = this.state;
+        this.accumulator = 0;
+        this.tick = 0;
+        // ティックごとの入力と予測結果 (ホストの確認待ち、NetworkManager が送信・照合する)
+        this.inputHistory = [];
+        this.firedSinceTick = false;
+        this.world = new CollisionWorld(); // main.js から障害物入りのものに差し替える
 
         // States
-        this.onGround = false;
-        this.isCrouching = false;
         this.isActive = false;
-        this.keys = { forward: false, backward: false, left: false, right: false, jump: false, shift: false };
+        this.isFrozen = false; // カウントダウン中・ラウンド終了後は操作不可
+        this.isSpectating = false; // キルカム再生中
+        this.keys = { forward: false, backward: false, left: false, right: false, jump: false, sprint: false, crouch: false };
+        this.isAiming = false;
         this.network = null;
+        this.recorder = null;
+        this.training = null; // TrainingMode (main.js で設定)
+        this.audio = null; // AudioManager (main.js で設定)
+        this.stats = null; // StatsTracker (main.js で設定)
+        this.footsteps = new FootstepTracker();
+
+        // Weapons
+        this.weapons = {};
+        for (const id of WEAPON_SLOTS) this.weapons[id] = new Weapon(WEAPONS[id]);
+        this.weapon = this.weapons[WEAPON_SLOTS[0]];
+        this.isTriggerHeld = false;
 
         // Gun Setup (Visual)
         this.gun = null;
         this.initGun();
+        this.updateAmmoHUD();
 
-        // Audio Setup (Synthesized)
-        this.audioCtx = null;
-
+        this.applySettings(DEFAULT_SETTINGS);
         this.initListeners();
     }
 
@@ -84,188 +109,243 @@ export class Player {
         // Only lock when clicking on the actual canvas, and only if session is active
         this.controls.domElement.addEventListener('mousedown', (e) => {
             if (this.controls.isLocked) {
-                this.shoot();
+                if (e.button === 2) this.setAiming(true);
+                if (e.button !== 0) return;
+                this.isTriggerHeld = true;
+                this.tryFire();
             } else if (this.isActive) {
-                this.controls.lock();
+                this.lock();
             }
         });
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 0) this.isTriggerHeld = false;
+            if (e.button === 2) this.setAiming(false);
+        });
+        this.controls.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.controls.addEventListener('unlock', () => this.setAiming(false));
+    }
 
-        // Initialize audio on first click
-        document.addEventListener('click', () => {
-            if (!this.audioCtx) {
-                this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            }
-        }, { once: true });
+    lock() {
+        this.controls.lock(this.rawInput);
     }
 
-    onKey(e, isDown) {
-        switch (e.code) {
-            case 'KeyW': this.keys.forward = isDown; break;
-            case 'KeyS': this.keys.backward = isDown; break;
-            case 'KeyA': this.keys.left = isDown; break;
-            case 'KeyD': this.keys.right = isDown; break;
-            case 'Space': this.keys.jump = isDown; break;
-            case 'ShiftLeft':
-            case 'ShiftRight': this.keys.shift = isDown; break;
+    // 設定 (Settings.values) を反映する
+    applySettings(settings) {
+        this.sensitivity = settings.sensitivity;
+        this.adsSensitivity = settings.adsSensitivity;
+        this.rawInput = settings.rawInput;
+        this.fov = settings.fov;
+
+        // キーコード → 操作
+        this.keyActions = {};
+        for (const [action, binding] of Object.entries(settings.keybinds)) {
+            for (const code of keyCodes(binding)) this.keyActions[code] = action;
         }
+
+        this.setAiming(this.isAiming);
     }
 
-    update(delta) {
-        if (!this.controls.isLocked) {
-            if (this.gun) this.gun.visible = false;
-            return;
-        }
-        if (this.gun) this.gun.visible = true;
+    // 右クリック中はズームし、感度に ADS 倍率をかける
+    setAiming(aiming) {
+        this.isAiming = aiming;
+        this.controls.pointerSpeed = this.sensitivity * (aiming ? this.adsSensitivity : 1);
+        this.camera.fov = aiming ? this.fov / ADS_ZOOM : this.fov;
+        this.camera.updateProjectionMatrix();
+    }
 
-        // 1. Vertical Physics (Gravity & Jump)
-        if (this.onGround) {
-            this.velocity.y = 0;
-            if (this.keys.jump) {
-                this.velocity.y = this.jumpForce;
-                this.onGround = false;
-            }
-        } else {
-            this.velocity.y -= this.gravity * delta;
+    onKey(e, isDown) {
+        const action = this.keyActions[e.code];
+        switch (action) {
+            case 'forward':
+            case 'backward':
+            case 'left':
+            case 'right':
+            case 'jump':
+            case 'sprint':
+            case 'crouch': this.keys[action] = isDown; break;
+            case 'reload': if (isDown) this.reload(); break;
+            case 'slot1':
+            case 'slot2':
+            case 'slot3': if (isDown) this.switchWeapon(WEAPON_SLOTS[Number(action.slice(-1)) - 1]); break;
         }
+    }
 
-        // 2. Horizontal Direction & Crouching
-        this.direction.z = Number(this.keys.forward) - Number(this.keys.backward);
-        this.direction.x = Number(this.keys.right) - Number(this.keys.left);
-        this.direction.normalize();
-
-        const headHeight = 1.7;
-        const crouchHeight = 1.0;
-        const targetHeight = this.keys.shift ? crouchHeight : headHeight;
-        this.isCrouching = this.keys.shift;
+    switchWeapon(id) {
+        const next = this.weapons[id];
+        if (!next || next === this.weapon) return;
+        this.weapon.cancelReload();
+        this.weapon = next;
+        this.isTriggerHeld = false;
+        this.updateAmmoHUD();
+    }
 
-        // 3. Horizontal Movement (XZ ONLY)
-        const currentXZ = new THREE.Vector2(this.velocity.x, this.velocity.z);
+    reload() {
+        if (!this.weapon.startReload(performance.now())) return;
+        this.playSound('reload');
+        this.updateAmmoHUD();
+    }
 
-        // Apply Friction on ground
-        if (this.onGround) {
-            currentXZ.multiplyScalar(Math.max(0, 1 - this.friction * delta));
+    refillWeapons() {
+        for (const weapon of Object.values(this.weapons)) {
+            weapon.cancelReload();
+            weapon.ammo = weapon.def.magazine;
         }
+        this.updateAmmoHUD();
+    }
 
-        // Acceleration
-        if (this.direction.x !== 0 || this.direction.z !== 0) {
-            const camDir = new THREE.Vector3();
-            this.camera.getWorldDirection(camDir);
-            camDir.y = 0;
-
-            // Safety: Avoid NaN if looking straight up/down
-            if (camDir.lengthSq() > 0.00001) {
-                camDir.normalize();
-                const camSide = new THREE.Vector3().crossVectors(this.camera.up, camDir);
-
-                if (camSide.lengthSq() > 0.00001) {
-                    camSide.normalize();
-                    const accel = 300;
-                    const moveDir = new THREE.Vector3()
-                        .addScaledVector(camDir, this.direction.z)
-                        .addScaledVector(camSide, -this.direction.x);
-
-                    if (moveDir.lengthSq() > 0.00001) {
-                        moveDir.normalize();
-                        currentXZ.x += moveDir.x * accel * delta;
-                        currentXZ.y += moveDir.z * accel * delta;
-                    }
-                }
-            }
+    updateAmmoHUD() {
+        const ammo = document.getElementById('ammo');
+        const name = document.getElementById('weapon-name');
+        if (ammo) {
+            ammo.innerText = this.weapon.isReloading ? 'RELOADING' : `${this.weapon.ammo} / ∞`;
+            ammo.classList.toggle('reloading', this.weapon.isReloading);
         }
+        if (name) name.innerText = this.weapon.def.name;
+    }
 
-        // 4. Horizontal Speed Cap (Strict XZ)
-        let maxSpeed = this.isCrouching ? this.moveSpeed * 0.5 : this.moveSpeed;
-        if (!this.onGround) maxSpeed *= 1.1;
+    // 射撃入力 (連射間隔・弾数・フルオートの判定)
+    tryFire() {
+        if (this.isFrozen || !this.controls.isLocked) return;
 
-        if (currentXZ.length() > maxSpeed) {
-            currentXZ.setLength(maxSpeed);
+        const now = performance.now();
+        if (this.weapon.ammo === 0) {
+            this.reload();
+            return;
         }
+        if (!this.weapon.canFire(now)) return;
 
-        // Restore velocity from XZ components (preserving Y)
-        this.velocity.x = currentXZ.x;
-        this.velocity.z = currentXZ.y;
+        this.shoot(this.weapon.fire(now));
+        if (!this.weapon.def.auto) this.isTriggerHeld = false;
+        if (this.weapon.ammo === 0) this.reload();
+        this.updateAmmoHUD();
+    }
 
-        // 5. Apply Movement & Collision
-        const nextPos = this.camera.position.clone().addScaledVector(this.velocity, delta);
+    // ヨー・ピッチ (PointerLockControls と同じ YXZ 順)
+    getViewAngles() {
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion);
+        return { yaw: euler.y, pitch: euler.x };
+    }
 
-        // World Bounds
-        const dist = Math.sqrt(nextPos.x * nextPos.x + nextPos.z * nextPos.z);
-        if (dist > 100) {
-            const angle = Math.atan2(nextPos.z, nextPos.x);
-            nextPos.x = Math.cos(angle) * 100;
-            nextPos.z = Math.sin(angle) * 100;
+    update(delta) {
+        if (!this.controls.isLocked || this.isSpectating) {
+            if (this.gun) this.gun.visible = false;
+            this.accumulator = 0;
+            return;
         }
+        if (this.gun) this.gun.visible = true;
 
-        // Floor Collision Logic (Robust)
-        if (nextPos.y <= targetHeight + 0.001) {
-            nextPos.y = targetHeight;
-            if (this.velocity.y < 0) this.velocity.y = 0;
-            this.onGround = true;
-        } else {
-            this.onGround = false;
-        }
+        const wasReloading = this.weapon.isReloading;
+        this.weapon.update(performance.now());
+        if (wasReloading && !this.weapon.isReloading) this.updateAmmoHUD();
 
-        // Final NaN Protection - Emergency Reset
-        if (isNaN(nextPos.x) || isNaN(nextPos.y) || isNaN(nextPos.z)) {
-            console.error("Movement NaN detected! Resetting position...");
-            nextPos.set(0, headHeight, 0);
-            this.velocity.set(0, 0, 0);
+        if (this.isFrozen) {
+            this.accumulator = 0;
+            return;
+        }
+        if (this.isTriggerHeld && this.weapon.def.auto) this.tryFire();
+
+        // 固定ティックで移動を進める (フレームレートに依存しない)
+        this.accumulator = Math.min(this.accumulator + delta, TICK * MAX_TICKS_PER_FRAME);
+        const input = this.getInput();
+        while (this.accumulator >= TICK) {
+            this.prevState = this.state;
+            this.state = simulateTick(this.state, input, this.world, this.movement);
+            this.accumulator -= TICK;
+            this.tick++;
+            this.inputHistory.push({ seq: this.tick, t: performance.now(), input: { ...input, fire: this.firedSinceTick }, state: this.state });
+            this.firedSinceTick = false;
+
+            const step = this.footsteps.update(this.state.pos, TICK, this.state.onGround);
+            if (step) this.playSound(step);
         }
+        if (this.inputHistory.length > MAX_INPUT_HISTORY) this.inputHistory.splice(0, this.inputHistory.length - MAX_INPUT_HISTORY);
+
+        // Apply final position (ティック間を補間)
+        const eye = interpolateEye(this.prevState, this.state, this.accumulator / TICK);
+        this.camera.position.set(eye.x, eye.y, eye.z);
+    }
 
-        // Apply final position (Instant eye height for Minecraft style)
-        this.camera.position.x = nextPos.x;
-        this.camera.position.z = nextPos.z;
-        this.camera.position.y = nextPos.y;
+    // 現在のキー入力と向き (シミュレーションの入力)
+    // 向きは送信と同じ精度に丸める (ホストが同じ入力で再計算した結果と一致させるため)
+    getInput() {
+        const { yaw, pitch } = this.getViewAngles();
+        return { ...this.keys, yaw: quantizeYaw(yaw), pitch: quantizePitch(pitch) };
     }
 
-    shoot() {
-        this.playShootSound();
+    // 足元位置 (x, y, z) に移動して向きを yaw にする (補間せずに瞬間移動)
+    teleport(x, y, z, yaw = 0) {
+        this.state = createPlayerState(x, y, z, this.movement);
+        this.prevState = this.state;
+        this.accumulator = 0;
+        this.inputHistory.length = 0;
+        this.camera.position.set(x, y + this.state.eyeHeight, z);
+        this.camera.rotation.set(0, yaw, 0);
+        this.footsteps.reset();
+    }
+
+    get headHeight() {
+        return this.movement.headHeight;
+    }
+
+    shoot(kick = [0, 0]) {
+        this.firedSinceTick = true;
+        this.playSound('shoot');
+        const def = this.weapon.def;
+        if (this.training) this.training.onShot(def.pellets);
+        if (this.stats) this.stats.onShot();
+
+        // 反動パターン + ランダム拡散をカメラの向きに加える
+        const dirs = shotDirections(def, kick, this.camera.quaternion);
+        for (const dir of dirs) this.fireRay(dir, def.damage);
+
+        // 視点の跳ね上がり
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(this.camera.quaternion);
+        euler.x = Math.min(Math.PI / 2, euler.x + def.viewKick);
+        this.camera.quaternion.setFromEuler(euler);
 
+        if (this.recorder) this.recorder.recordShot(this.network ? this.network.role : 'host', def.id, this.camera.position, dirs);
+        if (this.network) this.network.sendShoot(this.camera.position, dirs, def.id);
+    }
+
+    fireRay(dir, damage) {
         // Raycasting for hits
         const raycaster = new THREE.Raycaster();
-        const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
         raycaster.set(this.camera.position, dir);
 
         // Tracer Effect
         this.createTracer(this.camera.position.clone().addScaledVector(dir, 1), dir);
 
-        // Hit Detection
+        // Hit Detection (壁より奥と、非表示のモデル (キルカム・リプレイ用) には当たらない)
+        const wall = this.world.intersectRay(raycaster.ray);
         const intersects = raycaster.intersectObjects(this.scene.children);
         for (let intersect of intersects) {
+            if (intersect.distance > wall) break;
+            if (!isVisible(intersect.object)) continue;
             if (intersect.object.userData.isTarget) {
-                this.hitTarget(intersect.object);
+                this.hitTarget(intersect.object, damage);
                 break;
             }
-            // リモートプレイヤーのヒット判定
-            if (this.network && intersect.object === this.network.remotePlayerMesh) {
-                this.showHitmarker();
-                this.network.sendHit(); // 被弾側に通知
+            // リモートプレイヤーへの命中はホストが判定し、確定したら通知が来る
+            if (findHitZone(intersect.object)) {
                 break;
             }
         }
-
-        if (this.network) this.network.sendShoot(this.camera.position, dir);
     }
 
-    hitTarget(obj) {
-        this.playHitSound();
+    // 練習場のターゲット (体力や得点は TrainingMode が管理する)
+    hitTarget(obj, damage) {
+        this.playSound('hit');
         this.showHitmarker();
-        obj.userData.health -= 20;
-        obj.material.emissiveIntensity = 2.0;
-        setTimeout(() => obj.material.emissiveIntensity = 0.3, 100);
-
-        if (obj.userData.health <= 0) {
-            obj.position.y = -5; // Sink
-            window.dispatchEvent(new CustomEvent('kill-notification', { detail: { victim: 'ターゲット' } }));
-            setTimeout(() => { obj.position.y = 1; obj.userData.health = 100; }, 3000);
-        }
+        if (this.training) this.training.onHit(obj, damage);
     }
 
-    showHitmarker() {
+    showHitmarker(headshot = false) {
         const h = document.getElementById('hitmarker');
         if (h) {
+            h.classList.toggle('headshot', headshot);
             h.classList.add('active');
-            setTimeout(() => h.classList.remove('active'), 100);
+            clearTimeout(this.hitmarkerTimer);
+            this.hitmarkerTimer = setTimeout(() => h.classList.remove('active'), headshot ? 200 : 100);
         }
     }
 
@@ -279,32 +359,15 @@ export class Player {
         setTimeout(() => this.scene.remove(line), 50);
     }
 
-    playShootSound() {
-        if (!this.audioCtx) return;
-        const o = this.audioCtx.createOscillator();
-        const g = this.audioCtx.createGain();
-        o.type = 'square';
-        o.frequency.setValueAtTime(220, this.audioCtx.currentTime);
-        o.frequency.exponentialRampToValueAtTime(40, this.audioCtx.currentTime + 0.1);
-        g.gain.setValueAtTime(0.08, this.audioCtx.currentTime);
-        g.gain.exponentialRampToValueAtTime(0.01, this.audioCtx.currentTime + 0.1);
-        o.connect(g);
-        g.connect(this.audioCtx.destination);
-        o.start();
-        o.stop(this.audioCtx.currentTime + 0.1);
+    playSound(name, options) {
+        if (this.audio) this.audio.play(name, options);
     }
+}
 
-    playHitSound() {
-        if (!this.audioCtx) return;
-        const o = this.audioCtx.createOscillator();
-        const g = this.audioCtx.createGain();
-        o.type = 'sine';
-        o.frequency.setValueAtTime(900, this.audioCtx.currentTime);
-        g.gain.setValueAtTime(0.1, this.audioCtx.currentTime);
-        g.gain.exponentialRampToValueAtTime(0.01, this.audioCtx.currentTime + 0.05);
-        o.connect(g);
-        g.connect(this.audioCtx.destination);
-        o.start();
-        o.stop(this.audioCtx.currentTime + 0.05);
+// 親をたどってすべて表示されているか (Raycaster は visible を見ない)
+function isVisible(object) {
+    for (let o = object; o; o = o.parent) {
+        if (!o.visible) return false;
     }
+    return true;
 }
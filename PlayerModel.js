@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+// 部位ごとのダメージ倍率 (頭は武器ごとの headshotMultiplier を使う)
+export const HIT_ZONES = {
+    head: null,
+    torso: 1.0,
+    legs: 0.75
+};
+
+export function zoneMultiplier(zone, weapon) {
+    if (zone === 'head') return weapon.headshotMultiplier;
+    return HIT_ZONES[zone] ?? 0;
+}
+
+// 部位ごとの当たり判定を持つプレイヤーモデル
+// 原点は体の中心 (目線の 0.8 下)、カメラと同じく -Z が正面
+export function createPlayerModel(color = 0xff0055) {
+    const root = new THREE.Group();
+    const bodyMat = new THREE.MeshStandardMaterial({ color });
+    const legMat = new THREE.MeshStandardMaterial({ color: 0x1f2326 });
+
+    const legs = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.3, 0.8, 8), legMat);
+    legs.position.y = -0.6;
+    legs.userData.hitZone = 'legs';
+    root.add(legs);
+
+    const torso = new THREE.Mesh(new THREE.CapsuleGeometry(0.38, 0.25, 4, 8), bodyMat);
+    torso.position.y = 0.15;
+    torso.userData.hitZone = 'torso';
+    root.add(torso);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.24, 12, 8), bodyMat);
+    head.position.y = 0.78;
+    head.userData.hitZone = 'head';
+    root.add(head);
+
+    // ヘルム（前を向いているか分かるように）
+    const eyes = new THREE.Mesh(
+        new THREE.BoxGeometry(0.36, 0.1, 0.1),
+        new THREE.MeshBasicMaterial({ color: 0xffffff })
+    );
+    eyes.position.set(0, 0.8, -0.2);
+    eyes.userData.hitZone = 'head';
+    root.add(eyes);
+
+    return root;
+}
+
+// レイが当たった物体から部位名を探す
+export function findHitZone(object) {
+    for (let o = object; o; o = o.parent) {
+        if (o.userData.hitZone) return o.userData.hitZone;
+    }
+    return null;
+}
@@ -0,0 +1,181 @@
+// プレイヤー移動のシミュレーション (固定ティック)
+// 入力と状態だけから次の状態を作る純粋関数なので、描画なしの Node やネットワーク予測でも同じ結果になる
+// 状態・入力はすべてプレーンなオブジェクト、当たり判定は CollisionWorld を渡す
+export const TICK_RATE = 60;
+export const TICK = 1 / TICK_RATE;
+export const MAX_TICKS_PER_FRAME = 15; // タブ復帰などで溜まった時間はこれ以上追いかけない
+
+export const MOVEMENT_CONFIG = {
+    // Movement Settings (Non-smooth Kirka.io style)
+    moveSpeed: 16.0,
+    jumpForce: 56.0,        // High force for high gravity
+    gravity: 180.0,         // Very high gravity for heavy/snappy feel
+    friction: 15.0,         // Stable high friction
+    groundAccel: 400.0,     // friction との釣り合いで最高速が決まるので、ダッシュ速度より十分大きく
+    sprintMultiplier: 1.5,
+    crouchMultiplier: 0.5,
+
+    // Movement tech (Apex style)
+    airAccel: 12.0,         // Quake 式の空中加速 (moveSpeed に対する倍率 / 秒)
+    airWishSpeed: 2.0,      // 空中で入力方向に足せる速度の上限 (小さいほど旋回向き)
+    maxAirSpeed: 40.0,      // 空中の水平速度の安全上限
+    slideMinSpeed: 19.0,    // この速度以上でしゃがむとスライディング
+    slideBoost: 4.0,        // スライディング開始時の加速
+    slideFriction: 1.2,     // スライディング中の減速 (通常の friction より小さい)
+    slideJumpBoost: 1.15,   // スライディング中のジャンプで水平速度に掛ける倍率
+    crouchSpeed: 8.0,       // 目線の高さの変化速度 (m/s)
+
+    // Body (Capsule, measured from the feet)
+    radius: 0.4,
+    headHeight: 1.7,
+    crouchHeight: 1.0
+};
+
+export const EMPTY_INPUT = {
+    forward: false, backward: false, left: false, right: false,
+    jump: false, sprint: false, crouch: false,
+    yaw: 0
+};
+
+export function createPlayerState(x = 0, y = 0, z = 0, config = MOVEMENT_CONFIG) {
+    return {
+        pos: { x, y, z }, // 足元
+        vel: { x: 0, y: 0, z: 0 },
+        onGround: false,
+        isCrouching: false,
+        isSliding: false,
+        eyeHeight: config.headHeight
+    };
+}
+
+// 1 ティック進めた新しい状態を返す (state は書き換えない)
+export function simulateTick(state, input, world, config = MOVEMENT_CONFIG, dt = TICK) {
+    const pos = { ...state.pos };
+    const vel = { ...state.vel };
+    let { onGround, isCrouching, isSliding, eyeHeight } = state;
+    const horizontal = { x: vel.x, z: vel.z };
+
+    // 1. Vertical Physics (Gravity & Jump)
+    // 接地中も重力をかけ続け、接地判定は衝突結果から得る
+    if (onGround && input.jump) {
+        vel.y = config.jumpForce;
+        onGround = false;
+        // スライディングジャンプは勢いを上乗せする
+        if (isSliding) {
+            scale(horizontal, config.slideJumpBoost);
+            isSliding = false;
+        }
+    } else {
+        vel.y -= config.gravity * dt;
+    }
+
+    // 2. Crouching & Sliding
+    // 頭上が塞がっている間は立ち上がれない
+    const wasCrouching = isCrouching;
+    if (input.crouch) {
+        isCrouching = true;
+    } else if (isCrouching && world.hasHeadroom(pos, config.radius, config.headHeight + 0.1)) {
+        isCrouching = false;
+    }
+
+    // 走っている勢いのまましゃがむとスライディング
+    if (isCrouching && !wasCrouching && onGround && length(horizontal) >= config.slideMinSpeed) {
+        setLength(horizontal, length(horizontal) + config.slideBoost);
+        isSliding = true;
+    }
+    if (!isCrouching || (onGround && length(horizontal) < config.moveSpeed * config.crouchMultiplier)) {
+        isSliding = false;
+    }
+
+    // しゃがみの高さは滑らかに変える
+    const targetEye = isCrouching ? config.crouchHeight : config.headHeight;
+    const eyeStep = config.crouchSpeed * dt;
+    eyeHeight += Math.min(eyeStep, Math.max(-eyeStep, targetEye - eyeHeight));
+
+    // 3. Horizontal Movement (XZ ONLY)
+    const wishDir = wishDirection(input);
+    const isSprinting = input.sprint && input.forward && !input.backward && !isCrouching;
+
+    if (isSliding) {
+        // スライディング中は入力で加速せず、緩やかに減速する
+        if (onGround) scale(horizontal, Math.max(0, 1 - config.slideFriction * dt));
+    } else if (onGround) {
+        scale(horizontal, Math.max(0, 1 - config.friction * dt));
+        let wishSpeed = config.moveSpeed;
+        if (isSprinting) wishSpeed *= config.sprintMultiplier;
+        if (isCrouching) wishSpeed *= config.crouchMultiplier;
+        if (wishDir) accelerate(horizontal, wishDir, wishSpeed, config.groundAccel * dt);
+    } else if (wishDir) {
+        // 空中は入力方向の速度成分だけを少し足す (ストレイフで向きを変えられる)
+        accelerate(horizontal, wishDir, config.airWishSpeed, config.airAccel * config.moveSpeed * dt);
+    }
+
+    // 4. Horizontal Speed Cap (Strict XZ)
+    if (length(horizontal) > config.maxAirSpeed) setLength(horizontal, config.maxAirSpeed);
+    vel.x = horizontal.x;
+    vel.z = horizontal.z;
+
+    // 5. Apply Movement & Collision
+    const contact = world.moveAndSlide(pos, vel, dt, config.radius, eyeHeight + 0.1);
+    onGround = contact.onGround;
+
+    // World Bounds
+    world.clampToBounds(pos);
+
+    // Final NaN Protection - Emergency Reset
+    if (isNaN(pos.x) || isNaN(pos.y) || isNaN(pos.z)) {
+        console.error("Movement NaN detected! Resetting position...");
+        return createPlayerState(0, 0, 0, config);
+    }
+
+    return { pos, vel, onGround, isCrouching, isSliding, eyeHeight };
+}
+
+// 描画用: 2 ティックの間を alpha (0..1) で補間した目線の位置
+export function interpolateEye(prev, next, alpha) {
+    const lerp = (a, b) => a + (b - a) * alpha;
+    return {
+        x: lerp(prev.pos.x, next.pos.x),
+        y: lerp(prev.pos.y + prev.eyeHeight, next.pos.y + next.eyeHeight),
+        z: lerp(prev.pos.z, next.pos.z)
+    };
+}
+
+// 入力方向を yaw (カメラと同じく yaw 0 で -Z 向き) に合わせた水平の単位ベクトル (入力なしは null)
+function wishDirection(input) {
+    const forward = Number(input.forward) - Number(input.backward);
+    const right = Number(input.right) - Number(input.left);
+    if (forward === 0 && right === 0) return null;
+
+    const sin = Math.sin(input.yaw);
+    const cos = Math.cos(input.yaw);
+    const dir = {
+        x: -sin * forward + cos * right,
+        z: -cos * forward - sin * right
+    };
+    setLength(dir, 1);
+    return dir;
+}
+
+// Quake 式の加速: wishDir 方向の速度成分が wishSpeed に届くまで最大 amount 足す
+function accelerate(horizontal, wishDir, wishSpeed, amount) {
+    const add = wishSpeed - (horizontal.x * wishDir.x + horizontal.z * wishDir.z);
+    if (add <= 0) return;
+    const step = Math.min(amount, add);
+    horizontal.x += wishDir.x * step;
+    horizontal.z += wishDir.z * step;
+}
+
+function length(v) {
+    return Math.sqrt(v.x * v.x + v.z * v.z);
+}
+
+function scale(v, s) {
+    v.x *= s;
+    v.z *= s;
+}
+
+function setLength(v, len) {
+    const current = length(v);
+    if (current > 0) scale(v, len / current);
+}
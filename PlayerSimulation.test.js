@@ -0,0 +1,105 @@
+// PlayerSimulation の動作確認 (node --test、描画なしで動かす)
+// ネットワーク予測・ホストの再計算・ボットは同じ入力から同じ状態になることを前提にしている
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionWorld } from './CollisionWorld.js';
+import { MOVEMENT_CONFIG, EMPTY_INPUT, TICK_RATE, createPlayerState, simulateTick } from './PlayerSimulation.js';
+
+const speed = (state) => Math.hypot(state.vel.x, state.vel.z);
+
+// input を ticks 回続けた最後の状態
+function run(state, input, world, ticks) {
+    for (let i = 0; i < ticks; i++) state = simulateTick(state, { ...EMPTY_INPUT, ...input }, world);
+    return state;
+}
+
+// 地面に立った状態から始める
+function grounded(world, x = 0, z = 0) {
+    return run(createPlayerState(x, 0, z), {}, world, 5);
+}
+
+test('walking and sprinting reach their top speeds', () => {
+    const world = new CollisionWorld();
+    const start = grounded(world);
+    assert.equal(start.onGround, true);
+
+    const walk = run(start, { forward: true }, world, TICK_RATE);
+    assert.ok(Math.abs(speed(walk) - MOVEMENT_CONFIG.moveSpeed) < 0.5, `walk ${speed(walk)}`);
+
+    const sprint = run(start, { forward: true, sprint: true }, world, TICK_RATE);
+    assert.ok(Math.abs(speed(sprint) - 24) < 0.5, `sprint ${speed(sprint)}`);
+    assert.ok(sprint.pos.z < -15, 'yaw 0 moves towards -Z');
+});
+
+test('crouching at sprint speed starts a slide that decays', () => {
+    const world = new CollisionWorld();
+    const sprint = run(grounded(world), { forward: true, sprint: true }, world, TICK_RATE);
+
+    const slide = run(sprint, { forward: true, crouch: true }, world, 1);
+    assert.equal(slide.isSliding, true);
+    assert.ok(Math.abs(speed(slide) - 27.4) < 0.3, `slide start ${speed(slide)}`);
+
+    let state = slide;
+    for (let i = 0; i < 30; i++) {
+        const next = run(state, { forward: true, crouch: true }, world, 1);
+        assert.ok(speed(next) < speed(state), 'slide speed decreases every tick');
+        state = next;
+    }
+    assert.equal(state.isSliding, true);
+
+    // 歩く速さではスライディングにならない
+    const walk = run(grounded(world), { forward: true }, world, TICK_RATE);
+    assert.equal(run(walk, { forward: true, crouch: true }, world, 1).isSliding, false);
+});
+
+test('running diagonally into a wall slides along it', () => {
+    const world = new CollisionWorld();
+    world.addBox(new THREE.Vector3(-50, 0, -6), new THREE.Vector3(50, 4, -5));
+    // 斜め前 (-Z と +X の間) へ走り続ける
+    const end = run(grounded(world), { forward: true, yaw: -Math.PI / 4 }, world, TICK_RATE * 2);
+
+    assert.ok(end.pos.z >= -5 + MOVEMENT_CONFIG.radius - 0.01, `stopped at the wall (z ${end.pos.z})`);
+    assert.ok(end.pos.x > 10, `kept moving along the wall (x ${end.pos.x})`);
+    assert.equal(end.onGround, true);
+});
+
+test('falling onto a box lands on its top', () => {
+    const world = new CollisionWorld();
+    world.addBox(new THREE.Vector3(-2, 0, -2), new THREE.Vector3(2, 2, 2));
+    const end = run(createPlayerState(0, 6, 0), {}, world, TICK_RATE);
+
+    assert.equal(end.onGround, true);
+    assert.ok(Math.abs(end.pos.y - 2) < 0.01, `standing on the box (y ${end.pos.y})`);
+    assert.equal(end.vel.y <= 0, true);
+});
+
+test('the same inputs give the same states without touching the input state', () => {
+    const world = new CollisionWorld();
+    world.addBox(new THREE.Vector3(3, 0, -8), new THREE.Vector3(6, 1.5, -4));
+    const inputs = [];
+    for (let i = 0; i < TICK_RATE * 3; i++) {
+        inputs.push({
+            ...EMPTY_INPUT,
+            forward: i % 90 < 70,
+            right: i % 40 < 15,
+            sprint: i < 100,
+            jump: i % 45 === 0,
+            crouch: i > 110 && i < 130,
+            yaw: Math.sin(i / 30)
+        });
+    }
+    const simulate = () => {
+        const states = [];
+        let state = createPlayerState(0, 0, 0);
+        for (const input of inputs) {
+            const before = structuredClone(state);
+            const next = simulateTick(state, input, world);
+            assert.deepEqual(state, before, 'simulateTick does not modify its state');
+            states.push(next);
+            state = next;
+        }
+        return states;
+    };
+    assert.deepEqual(simulate(), simulate());
+});
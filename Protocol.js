@@ -0,0 +1,271 @@
+import { WEAPONS } from './Weapons.js';
+import { HIT_ZONES } from './PlayerModel.js';
+import { CHAT_CONFIG, QUICK_MESSAGES } from './Chat.js';
+
+// 通信プロトコル: メッセージの形、バイナリ形式、受信時の検証
+// 30Hz で流れる state / input は固定長のバイナリ (ArrayBuffer)、それ以外は PeerJS のシリアライズに任せたオブジェクト
+// 形が合わない・範囲外のメッセージは decodeMessage が null を返すので、受信側はそのまま捨てる
+// 形式を変えたら PROTOCOL_VERSION を上げる (接続時の hello で食い違うビルド同士を弾く)
+export const PROTOCOL_VERSION = 3;
+
+const KIND_STATE = 1;
+const KIND_INPUT = 2;
+
+// 量子化の精度と受け付ける範囲
+const POS_SCALE = 100;        // 表示用の位置は 1cm 単位 (Int16 で ±327m)
+const VITALS_SCALE = 10;      // 体力・シールドは 0.1 単位
+const ANGLE_STEPS = 65536;    // yaw は 1 周を 16bit
+const PITCH_SCALE = 32767 / (Math.PI / 2);
+const CMD_TIME_SCALE = 10;    // コマンドの時刻は先頭からの差を 0.1ms 単位
+const MAX_COORD = 1000;
+const MAX_SPEED = 500;
+const MAX_VITALS = 1000;
+const MAX_COMMANDS = 64;
+const MAX_PELLETS = 16;
+const MAX_TO_WIN = 100;       // 勝利に必要なラウンド数・キル数の上限
+
+const STATE_SIZE = 1 + 4 + 8 + 6 + 2 + 2 + 2 + 2 + 4 + 4 + 12 + 12 + 4 + 1;
+const INPUT_HEADER_SIZE = 1 + 4 + 1 + 8;
+const COMMAND_SIZE = 4 + 2 + 1 + 2 + 2;
+
+const ROLES = ['host', 'guest'];
+const MATCH_STATES = ['idle', 'countdown', 'live', 'roundEnd', 'matchEnd'];
+
+// --- Angles ---
+// 送る値と同じ精度に丸める (ゲストの予測とホストの再計算で同じ yaw を使うため)
+export function quantizeYaw(yaw) {
+    return decodeYaw(encodeYaw(yaw));
+}
+
+export function quantizePitch(pitch) {
+    return decodePitch(encodePitch(pitch));
+}
+
+function encodeYaw(yaw) {
+    const turn = yaw / (Math.PI * 2);
+    return Math.round((turn - Math.floor(turn)) * ANGLE_STEPS) % ANGLE_STEPS;
+}
+
+function decodeYaw(value) {
+    return value / ANGLE_STEPS * Math.PI * 2;
+}
+
+function encodePitch(pitch) {
+    return Math.round(clamp(pitch, -Math.PI / 2, Math.PI / 2) * PITCH_SCALE);
+}
+
+function decodePitch(value) {
+    return value / PITCH_SCALE;
+}
+
+// --- Binary ---
+// state (ホスト → ゲスト): ホストの目線と体力、ゲスト自身の照合用の状態
+export function encodeState(msg) {
+    const view = new DataView(new ArrayBuffer(STATE_SIZE));
+    let o = 0;
+    view.setUint8(o, KIND_STATE); o += 1;
+    view.setUint32(o, msg.seq); o += 4;
+    view.setFloat64(o, msg.t); o += 8;
+    for (const axis of ['x', 'y', 'z']) {
+        view.setInt16(o, Math.round(clamp(msg.pos[axis] * POS_SCALE, -32768, 32767))); o += 2;
+    }
+    view.setUint16(o, encodeYaw(msg.rot.y)); o += 2;
+    view.setInt16(o, encodePitch(msg.rot.x)); o += 2;
+    view.setUint16(o, Math.round(clamp(msg.health, 0, MAX_VITALS) * VITALS_SCALE)); o += 2;
+    view.setUint16(o, Math.round(clamp(msg.shield, 0, MAX_VITALS) * VITALS_SCALE)); o += 2;
+    view.setUint32(o, msg.epoch); o += 4;
+    view.setUint32(o, msg.ack); o += 4;
+    // 予測の照合に使うので位置・速度は丸めない
+    const you = msg.you;
+    for (const v of [you.pos, you.vel]) {
+        for (const axis of ['x', 'y', 'z']) {
+            view.setFloat32(o, v[axis]); o += 4;
+        }
+    }
+    view.setFloat32(o, you.eyeHeight); o += 4;
+    view.setUint8(o, (you.onGround ? 1 : 0) | (you.isCrouching ? 2 : 0) | (you.isSliding ? 4 : 0));
+    return view.buffer;
+}
+
+function decodeState(view) {
+    if (view.byteLength !== STATE_SIZE) return null;
+    let o = 1;
+    const seq = view.getUint32(o); o += 4;
+    const t = view.getFloat64(o); o += 8;
+    const pos = {};
+    for (const axis of ['x', 'y', 'z']) {
+        pos[axis] = view.getInt16(o) / POS_SCALE; o += 2;
+    }
+    const rot = { y: decodeYaw(view.getUint16(o)) }; o += 2;
+    rot.x = decodePitch(view.getInt16(o)); o += 2;
+    const health = view.getUint16(o) / VITALS_SCALE; o += 2;
+    const shield = view.getUint16(o) / VITALS_SCALE; o += 2;
+    const epoch = view.getUint32(o); o += 4;
+    const ack = view.getUint32(o); o += 4;
+    const you = { pos: {}, vel: {} };
+    for (const v of [you.pos, you.vel]) {
+        for (const axis of ['x', 'y', 'z']) {
+            v[axis] = view.getFloat32(o); o += 4;
+        }
+    }
+    you.eyeHeight = view.getFloat32(o); o += 4;
+    const flags = view.getUint8(o);
+    you.onGround = (flags & 1) !== 0;
+    you.isCrouching = (flags & 2) !== 0;
+    you.isSliding = (flags & 4) !== 0;
+
+    if (!Number.isFinite(t) || health > MAX_VITALS || shield > MAX_VITALS) return null;
+    if (!isVec3(you.pos, MAX_COORD) || !isVec3(you.vel, MAX_SPEED) || !(you.eyeHeight > 0 && you.eyeHeight < 10)) return null;
+    return { type: 'state', seq, t, pos, rot, health, shield, epoch, ack, you };
+}
+
+// input (ゲスト → ホスト): 未確認のコマンドをまとめて送る。keys は KEY_BITS のビット列
+export function encodeInput(msg) {
+    const cmds = msg.cmds.slice(-MAX_COMMANDS);
+    const view = new DataView(new ArrayBuffer(INPUT_HEADER_SIZE + cmds.length * COMMAND_SIZE));
+    const base = cmds.length ? cmds[0].t : 0;
+    let o = 0;
+    view.setUint8(o, KIND_INPUT); o += 1;
+    view.setUint32(o, msg.epoch); o += 4;
+    view.setUint8(o, cmds.length); o += 1;
+    view.setFloat64(o, base); o += 8;
+    for (const cmd of cmds) {
+        view.setUint32(o, cmd.seq); o += 4;
+        view.setUint16(o, Math.round(clamp((cmd.t - base) * CMD_TIME_SCALE, 0, 65535))); o += 2;
+        view.setUint8(o, cmd.keys); o += 1;
+        view.setUint16(o, encodeYaw(cmd.yaw)); o += 2;
+        view.setInt16(o, encodePitch(cmd.pitch)); o += 2;
+    }
+    return view.buffer;
+}
+
+function decodeInput(view) {
+    if (view.byteLength < INPUT_HEADER_SIZE) return null;
+    let o = 1;
+    const epoch = view.getUint32(o); o += 4;
+    const count = view.getUint8(o); o += 1;
+    const base = view.getFloat64(o); o += 8;
+    if (count > MAX_COMMANDS || view.byteLength !== INPUT_HEADER_SIZE + count * COMMAND_SIZE || !Number.isFinite(base)) return null;
+
+    const cmds = [];
+    for (let i = 0; i < count; i++) {
+        const seq = view.getUint32(o); o += 4;
+        const t = base + view.getUint16(o) / CMD_TIME_SCALE; o += 2;
+        const keys = view.getUint8(o); o += 1;
+        const yaw = decodeYaw(view.getUint16(o)); o += 2;
+        const pitch = decodePitch(view.getInt16(o)); o += 2;
+        cmds.push({ seq, t, keys, yaw, pitch });
+    }
+    return { type: 'input', epoch, cmds };
+}
+
+// --- Objects ---
+const isNumber = (v) => Number.isFinite(v);
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isText = (v) => typeof v === 'string' && v.length <= 64;
+const isBool = (v) => typeof v === 'boolean';
+const isRole = (v) => ROLES.includes(v);
+const isWeapon = (v) => Object.prototype.hasOwnProperty.call(WEAPONS, v);
+const inRange = (min, max) => (v) => Number.isFinite(v) && v >= min && v <= max;
+const isWinTarget = (v) => Number.isInteger(v) && v >= 1 && v <= MAX_TO_WIN;
+const optional = (check) => (v) => v === undefined || v === null || check(v);
+const isTuple3 = (v) => Array.isArray(v) && v.length === 3 && v.every(n => Number.isFinite(n) && Math.abs(n) <= MAX_COORD);
+const isPoint = (v) => isVec3(v, MAX_COORD);
+const isDirection = (v) => isVec3(v, 1.01);
+const isChatText = (v) => typeof v === 'string' && v.length > 0 && v.length <= CHAT_CONFIG.maxLength;
+const isQuickMessage = (v) => typeof v === 'string' && Object.prototype.hasOwnProperty.call(QUICK_MESSAGES, v);
+
+const MATCH_CONFIG_SCHEMA = {
+    mode: (v) => v === 'rounds' || v === 'kills',
+    roundsToWin: isWinTarget,
+    killsToWin: isWinTarget,
+    roundTime: inRange(0, 3600),
+    countdown: inRange(0, 60),
+    roundEndDelay: inRange(0, 60)
+};
+
+const MATCH_STATE_SCHEMA = {
+    state: (v) => MATCH_STATES.includes(v),
+    round: isCount,
+    score: (v) => v && isCount(v.host) && isCount(v.guest),
+    remaining: inRange(0, 3600),
+    winner: optional(isRole),
+    roundWinner: optional(isRole),
+    config: (v) => matches(MATCH_CONFIG_SCHEMA, v)
+};
+
+// 型ごとの項目 (関数ならメッセージ全体を調べる)
+const SCHEMAS = {
+    hello: { version: isCount },
+    session: { id: isText },
+    full: {},
+    reject: { reason: isText, version: isCount },
+    rejoin: { session: optional(isText) },
+    rejoined: {},
+    kick: { reason: isText },
+    // 自由入力の文か定型メッセージの ID のどちらか一方
+    chat: (msg) => msg.quick === undefined ? isChatText(msg.text) : msg.text === undefined && isQuickMessage(msg.quick),
+    ping: { t: isNumber },
+    pong: { t: isNumber },
+    teleport: { epoch: isCount, pos: isTuple3, yaw: isNumber },
+    shoot: {
+        t: isNumber,
+        viewTime: isNumber,
+        weapon: isWeapon,
+        pos: isPoint,
+        dirs: (v) => Array.isArray(v) && v.length > 0 && v.length <= MAX_PELLETS && v.every(isDirection)
+    },
+    hit: {
+        shooter: isRole,
+        victim: isRole,
+        weapon: isWeapon,
+        zone: optional((v) => Object.prototype.hasOwnProperty.call(HIT_ZONES, v)),
+        damage: inRange(0, MAX_VITALS),
+        absorbed: inRange(0, MAX_VITALS),
+        health: inRange(0, MAX_VITALS),
+        shield: inRange(0, MAX_VITALS)
+    },
+    death: { killer: isRole, victim: isRole, weapon: isWeapon, headshot: isBool },
+    respawn: {},
+    match: (msg) => msg.request === 'rematch' || matches(MATCH_STATE_SCHEMA, msg),
+    // マップの中身は MapLoader の validateMap で確かめる
+    map: { map: (v) => v !== null && typeof v === 'object' }
+};
+
+export function encodeMessage(msg) {
+    if (msg.type === 'state') return encodeState(msg);
+    if (msg.type === 'input') return encodeInput(msg);
+    return msg;
+}
+
+// 受信したデータ → メッセージ (不正なら null)
+export function decodeMessage(data) {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        const view = data instanceof ArrayBuffer
+            ? new DataView(data)
+            : new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (view.byteLength < 1) return null;
+        const kind = view.getUint8(0);
+        if (kind === KIND_STATE) return decodeState(view);
+        if (kind === KIND_INPUT) return decodeInput(view);
+        return null;
+    }
+
+    if (!data || typeof data !== 'object' || !Object.prototype.hasOwnProperty.call(SCHEMAS, data.type)) return null;
+    const schema = SCHEMAS[data.type];
+    const valid = typeof schema === 'function' ? schema(data) : matches(schema, data);
+    return valid ? data : null;
+}
+
+function matches(schema, obj) {
+    if (!obj || typeof obj !== 'object') return false;
+    return Object.entries(schema).every(([key, check]) => check(obj[key]));
+}
+
+function isVec3(v, limit) {
+    return !!v && [v.x, v.y, v.z].every(n => Number.isFinite(n) && Math.abs(n) <= limit);
+}
+
+function clamp(v, min, max) {
+    return Math.min(max, Math.max(min, v));
+}
@@ -0,0 +1,169 @@
+import { validateMap } from './MapLoader.js';
+import { WEAPONS } from './Weapons.js';
+import { downloadJson } from './Format.js';
+
+// 試合の記録 (リプレイファイル)
+// 容量を抑えるため位置は cm、角度は 1/1000 rad の整数で保存する
+// map: 試合のマップの定義 (再生時に読み込む、バージョン 1 のファイルには無い)
+// tracks: { host: [[t, x, y, z, yaw, pitch], ...], guest: [...] }
+// events: [t, 'shot', role, weapon, [x, y, z], [dx, dy, dz, ...]]
+//         [t, 'hit', shooter, victim, damage, zone, health, shield]
+//         [t, 'death', killer, victim, headshot]
+//         [t, 'round', round, hostScore, guestScore]
+export const REPLAY_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+const POS_SCALE = 100;
+const ANGLE_SCALE = 1000;
+
+const ROLES = ['host', 'guest'];
+const isNumber = (v) => Number.isFinite(v);
+const isNumbers = (v, length = v?.length) => Array.isArray(v) && v.length === length && v.every(isNumber);
+const isRole = (v) => ROLES.includes(v);
+const isWeapon = (v) => Object.prototype.hasOwnProperty.call(WEAPONS, v);
+
+// イベントの種類ごとの引数 (再生中に例外にならないよう、読み込む時に確かめる)
+const EVENT_ARGS = {
+    shot: ([role, weapon, pos, dirs]) => isRole(role) && isWeapon(weapon) && isNumbers(pos, 3) && isNumbers(dirs) && dirs.length % 3 === 0,
+    hit: ([shooter, victim, damage, zone, health, shield]) => isRole(shooter) && isRole(victim)
+        && [damage, health, shield].every(isNumber) && (zone == null || typeof zone === 'string'),
+    death: ([killer, victim, headshot]) => isRole(killer) && isRole(victim) && typeof headshot === 'boolean',
+    round: (args) => isNumbers(args, 3)
+};
+
+function isValidEvent(event) {
+    if (!Array.isArray(event) || !isNumber(event[0])) return false;
+    const check = Object.prototype.hasOwnProperty.call(EVENT_ARGS, event[1]) && EVENT_ARGS[event[1]];
+    return !!check && check(event.slice(2));
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.data = null;
+        this.startTime = 0;
+    }
+
+    start(localRole, map = null) {
+        this.startTime = performance.now();
+        this.data = {
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            localRole,
+            map,
+            duration: 0,
+            tracks: { host: [], guest: [] },
+            events: []
+        };
+        this.isRecording = true;
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.data.duration = this.time();
+    }
+
+    time() {
+        return Math.round(performance.now() - this.startTime);
+    }
+
+    recordTransform(role, pos, yaw, pitch) {
+        if (!this.isRecording) return;
+        this.data.tracks[role].push([
+            this.time(),
+            Math.round(pos.x * POS_SCALE),
+            Math.round(pos.y * POS_SCALE),
+            Math.round(pos.z * POS_SCALE),
+            Math.round(yaw * ANGLE_SCALE),
+            Math.round(pitch * ANGLE_SCALE)
+        ]);
+    }
+
+    recordShot(role, weapon, pos, dirs) {
+        if (!this.isRecording) return;
+        this.data.events.push([
+            this.time(), 'shot', role, weapon,
+            [pos.x, pos.y, pos.z].map(v => Math.round(v * POS_SCALE)),
+            dirs.flatMap(d => [d.x, d.y, d.z].map(v => Math.round(v * ANGLE_SCALE)))
+        ]);
+    }
+
+    recordHit(hit) {
+        if (!this.isRecording) return;
+        this.data.events.push([this.time(), 'hit', hit.shooter, hit.victim, hit.damage, hit.zone, hit.health, hit.shield]);
+    }
+
+    recordDeath(death) {
+        if (!this.isRecording) return;
+        this.data.events.push([this.time(), 'death', death.killer, death.victim, !!death.headshot]);
+    }
+
+    recordRound(round, score) {
+        if (!this.isRecording) return;
+        this.data.events.push([this.time(), 'round', round, score.host, score.guest]);
+    }
+
+    hasData() {
+        return !!this.data && this.data.tracks.host.length + this.data.tracks.guest.length > 0;
+    }
+
+    download() {
+        if (!this.hasData()) return;
+        if (this.isRecording) this.data.duration = this.time();
+        downloadJson(JSON.stringify(this.data), 'fps_duel_replay', new Date(this.data.recordedAt));
+    }
+}
+
+// リプレイファイルを読み込み、単位を戻した形にする
+export function parseReplay(text) {
+    const data = JSON.parse(text);
+    if (!data || !SUPPORTED_VERSIONS.includes(data.version) || !data.tracks || !Array.isArray(data.events)) {
+        throw new Error('対応していないリプレイファイルです');
+    }
+    const tracksValid = ROLES.every(role => data.tracks[role] === undefined
+        || (Array.isArray(data.tracks[role]) && data.tracks[role].every(s => isNumbers(s, 6))));
+    if (!tracksValid || !data.events.every(isValidEvent) || (data.duration !== undefined && !isNumber(data.duration))) {
+        throw new Error('リプレイファイルが壊れています');
+    }
+    if (data.map) {
+        try {
+            validateMap(data.map);
+        } catch (e) {
+            throw new Error('リプレイのマップが壊れています');
+        }
+    }
+
+    const tracks = {};
+    for (const role of ROLES) {
+        tracks[role] = (data.tracks[role] || []).map(([t, x, y, z, yaw, pitch]) => ({
+            t,
+            pos: { x: x / POS_SCALE, y: y / POS_SCALE, z: z / POS_SCALE },
+            yaw: yaw / ANGLE_SCALE,
+            pitch: pitch / ANGLE_SCALE
+        }));
+    }
+
+    const events = data.events.map(([t, type, ...args]) => {
+        if (type === 'shot') {
+            const [role, weapon, pos, dirs] = args;
+            const list = [];
+            for (let i = 0; i + 2 < dirs.length; i += 3) {
+                list.push({ x: dirs[i] / ANGLE_SCALE, y: dirs[i + 1] / ANGLE_SCALE, z: dirs[i + 2] / ANGLE_SCALE });
+            }
+            return { t, type, role, weapon, pos: { x: pos[0] / POS_SCALE, y: pos[1] / POS_SCALE, z: pos[2] / POS_SCALE }, dirs: list };
+        }
+        if (type === 'hit') {
+            const [shooter, victim, damage, zone, health, shield] = args;
+            return { t, type, shooter, victim, damage, zone, health, shield };
+        }
+        if (type === 'death') {
+            const [killer, victim, headshot] = args;
+            return { t, type, killer, victim, headshot };
+        }
+        const [round, host, guest] = args;
+        return { t, type, round, score: { host, guest } };
+    }).sort((a, b) => a.t - b.t);
+
+    return { ...data, map: data.map || null, tracks, events };
+}
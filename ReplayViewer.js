@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { StateHistory } from './StateHistory.js';
+import { createPlayerModel } from './PlayerModel.js';
+import { formatClock } from './Format.js';
+
+const SEEK_STEPS = 1000;
+
+// リプレイファイルの再生 (自由カメラ / 各プレイヤー視点、一時停止・シーク・速度変更)
+// 記録したマップで再生し、閉じたら元のマップに戻す (マップの無い古いファイルは今のマップのまま)
+export class ReplayViewer {
+    constructor(scene, camera, renderer, player, mapLoader) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.player = player;
+        this.mapLoader = mapLoader;
+        this.previousMap = null;
+
+        this.isActive = false;
+        this.isPlaying = false;
+        this.replay = null;
+        this.time = 0;
+        this.speed = 1;
+        this.view = 'free';
+        this.histories = {};
+        this.onExit = null;
+
+        this.models = {
+            host: createPlayerModel(0x00f2ff),
+            guest: createPlayerModel(0xff0055)
+        };
+        for (const model of Object.values(this.models)) {
+            model.visible = false;
+            this.scene.add(model);
+        }
+
+        this.initUI();
+    }
+
+    initUI() {
+        this.hud = document.getElementById('replay-hud');
+        this.playBtn = document.getElementById('replay-play');
+        this.seekBar = document.getElementById('replay-seek');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.viewSelect = document.getElementById('replay-view');
+        this.feed = document.getElementById('replay-feed');
+        this.scoreLabel = document.getElementById('replay-score');
+
+        this.seekBar.max = SEEK_STEPS;
+        this.playBtn.onclick = () => this.setPlaying(!this.isPlaying);
+        this.seekBar.oninput = () => this.seek(this.seekBar.value / SEEK_STEPS * this.replay.duration);
+        this.speedSelect.onchange = () => this.speed = Number(this.speedSelect.value);
+        this.viewSelect.onchange = () => this.setView(this.viewSelect.value);
+        document.getElementById('replay-exit').onclick = () => this.close();
+    }
+
+    open(replay) {
+        if (replay.map) {
+            this.previousMap = this.mapLoader.current;
+            this.mapLoader.load(replay.map);
+        }
+        // 最初の表示まで済んでから開く (失敗したら元のマップに戻す)
+        try {
+            this.load(replay);
+        } catch (e) {
+            this.cleanup();
+            throw e;
+        }
+        this.isActive = true;
+        this.hud.style.display = 'flex';
+        this.setPlaying(true);
+    }
+
+    load(replay) {
+        this.replay = replay;
+        this.replay.duration = replay.duration || Math.max(
+            0, ...['host', 'guest'].map(role => replay.tracks[role].at(-1)?.t || 0)
+        );
+
+        this.histories = {};
+        for (const role of ['host', 'guest']) {
+            const history = new StateHistory(Infinity);
+            for (const s of replay.tracks[role]) history.push(s.t, s.pos, s.yaw, s.pitch);
+            this.histories[role] = history;
+        }
+
+        // 自由カメラ
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.camera.position.set(0, 40, 50);
+        this.controls.target.set(0, 0, 0);
+
+        this.viewSelect.value = 'free';
+        this.setView('free');
+        this.seek(0);
+    }
+
+    close() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.cleanup();
+        if (this.onExit) this.onExit();
+    }
+
+    cleanup() {
+        this.isPlaying = false;
+        if (this.controls) this.controls.dispose();
+        this.controls = null;
+        for (const model of Object.values(this.models)) model.visible = false;
+        this.hud.style.display = 'none';
+        this.feed.innerHTML = '';
+        if (this.previousMap) {
+            this.mapLoader.load(this.previousMap);
+            this.previousMap = null;
+        }
+    }
+
+    setPlaying(playing) {
+        // 最後まで再生済みなら最初から
+        if (playing && this.time >= this.replay.duration) this.seek(0);
+        this.isPlaying = playing;
+        this.playBtn.innerText = playing ? '一時停止' : '再生';
+    }
+
+    setView(view) {
+        this.view = view;
+        if (this.controls) this.controls.enabled = view === 'free';
+        for (const [role, model] of Object.entries(this.models)) {
+            model.visible = role !== view;
+        }
+    }
+
+    seek(t) {
+        this.time = THREE.MathUtils.clamp(t, 0, this.replay.duration);
+        this.feed.innerHTML = '';
+        this.apply(this.time, this.time);
+    }
+
+    update(delta) {
+        if (!this.isActive) return;
+
+        if (this.isPlaying) {
+            const prev = this.time;
+            this.time = Math.min(this.replay.duration, this.time + delta * 1000 * this.speed);
+            this.apply(prev, this.time);
+            if (this.time >= this.replay.duration) this.setPlaying(false);
+        }
+
+        if (this.view === 'free') {
+            this.controls.update();
+        } else {
+            const state = this.histories[this.view].sample(this.time);
+            if (state) {
+                this.camera.position.copy(state.pos);
+                this.camera.quaternion.setFromEuler(new THREE.Euler(state.rotX, state.rotY, 0, 'YXZ'));
+            }
+        }
+    }
+
+    // 時刻 t の姿勢を反映し、(prev, t] のイベントを再現する
+    apply(prev, t) {
+        for (const role of ['host', 'guest']) {
+            const state = this.histories[role].sample(t);
+            if (!state) continue;
+            const model = this.models[role];
+            model.position.set(state.pos.x, state.pos.y - 0.8, state.pos.z);
+            model.rotation.y = state.rotY;
+        }
+
+        let score = null;
+        for (const e of this.replay.events) {
+            if (e.t > t) break;
+            if (e.type === 'round') score = e.score;
+            if (e.t <= prev) continue;
+
+            if (e.type === 'shot') {
+                for (const d of e.dirs) {
+                    const dir = new THREE.Vector3(d.x, d.y, d.z).normalize();
+                    this.player.createTracer(new THREE.Vector3(e.pos.x, e.pos.y, e.pos.z).addScaledVector(dir, 1), dir);
+                }
+            } else if (e.type === 'hit') {
+                this.pushFeed(`${e.shooter.toUpperCase()} → ${e.victim.toUpperCase()} ${e.damage}${e.zone === 'head' ? ' HEADSHOT' : ''}`);
+            } else if (e.type === 'death') {
+                this.pushFeed(`${e.killer.toUpperCase()} KILLED ${e.victim.toUpperCase()}`, true);
+            } else if (e.type === 'round') {
+                this.pushFeed(`ROUND ${e.round}`);
+            }
+        }
+
+        this.scoreLabel.innerText = score ? `HOST ${score.host} - ${score.guest} GUEST` : '';
+        this.seekBar.value = this.replay.duration ? Math.round(t / this.replay.duration * SEEK_STEPS) : 0;
+        this.timeLabel.innerText = `${formatClock(Math.floor(t / 1000))} / ${formatClock(Math.floor(this.replay.duration / 1000))}`;
+    }
+
+    pushFeed(text, isKill = false) {
+        const item = document.createElement('div');
+        item.className = isKill ? 'kill-item' : 'kill-item replay-event';
+        item.innerText = text;
+        this.feed.appendChild(item);
+        setTimeout(() => item.remove(), 3000);
+    }
+}
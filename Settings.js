@@ -0,0 +1,171 @@
+// ユーザー設定 (localStorage に保存、JSON 文字列で共有できる)
+const STORAGE_KEY = 'fps_duel_settings';
+
+// 割り当て可能な操作 (表示順)
+export const KEYBIND_ACTIONS = {
+    forward: '前進',
+    backward: '後退',
+    left: '左',
+    right: '右',
+    jump: 'ジャンプ',
+    sprint: 'ダッシュ',
+    crouch: 'しゃがみ / スライディング',
+    reload: 'リロード',
+    slot1: '武器 1',
+    slot2: '武器 2',
+    slot3: '武器 3'
+};
+
+// 1 つの操作に割り当てられるキーの数 (キーコード 1 つか、その配列)
+const MAX_KEYS_PER_ACTION = 4;
+
+export const CROSSHAIR_STYLES = ['cross', 'dot', 'circle', 'cross-dot'];
+
+export const DEFAULT_SETTINGS = {
+    sensitivity: 1.0,
+    adsSensitivity: 1.0, // 右クリック (ズーム) 中の倍率
+    rawInput: false,     // OS のマウス加速を無効にする
+    fov: 75,
+    volume: 0.8,
+    effectsVolume: 1.0,  // 銃声・足音など (マスター音量に掛かる)
+    uiVolume: 1.0,       // メニューの操作音
+    crosshair: { style: 'cross', color: '#00f2ff', size: 20 },
+    keybinds: {
+        forward: 'KeyW',
+        backward: 'KeyS',
+        left: 'KeyA',
+        right: 'KeyD',
+        jump: 'Space',
+        sprint: ['ShiftLeft', 'ShiftRight'],
+        crouch: 'KeyC',
+        reload: 'KeyR',
+        slot1: 'Digit1',
+        slot2: 'Digit2',
+        slot3: 'Digit3'
+    }
+};
+
+// 数値設定の範囲
+const LIMITS = {
+    sensitivity: [0.1, 5],
+    adsSensitivity: [0.1, 3],
+    fov: [60, 110],
+    volume: [0, 1],
+    crosshairSize: [4, 40]
+};
+
+export class Settings {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.values = structuredClone(DEFAULT_SETTINGS);
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = this.storage.getItem(STORAGE_KEY);
+            if (saved) this.values = normalizeSettings(JSON.parse(saved));
+        } catch (e) {
+            console.error('Failed to load settings:', e);
+        }
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+    }
+
+    // 変更時に呼ばれる (初回は登録時に即呼ぶ)
+    onChange(listener) {
+        this.listeners.push(listener);
+        listener(this.values);
+    }
+
+    // 部分的な値を反映して保存する
+    update(patch) {
+        this.values = normalizeSettings({
+            ...this.values,
+            ...patch,
+            crosshair: { ...this.values.crosshair, ...patch.crosshair },
+            keybinds: { ...this.values.keybinds, ...patch.keybinds }
+        });
+        this.save();
+        for (const listener of this.listeners) listener(this.values);
+    }
+
+    // action を code だけに割り当てる
+    // 同じキーを使っていた操作からは外し、他にキーが残らなければ action の元のキーと入れ替える
+    bindKey(action, code) {
+        const keybinds = { ...this.values.keybinds };
+        for (const other of Object.keys(keybinds)) {
+            const codes = keyCodes(keybinds[other]);
+            if (other === action || !codes.includes(code)) continue;
+            const rest = codes.filter(c => c !== code);
+            keybinds[other] = rest.length ? toBinding(rest) : keybinds[action];
+        }
+        keybinds[action] = code;
+        this.update({ keybinds });
+    }
+
+    reset() {
+        this.update(structuredClone(DEFAULT_SETTINGS));
+    }
+
+    export() {
+        return JSON.stringify(this.values);
+    }
+
+    // 不正な JSON は例外、範囲外の値は丸めて読み込む
+    import(text) {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object') throw new Error('設定の形式が正しくありません');
+        this.update(data);
+    }
+}
+
+// 割り当て (キーコードか、その配列) → キーコードの配列
+export function keyCodes(binding) {
+    if (Array.isArray(binding)) return binding;
+    return binding ? [binding] : [];
+}
+
+function toBinding(codes) {
+    return codes.length === 1 ? codes[0] : codes;
+}
+
+// 既知の項目だけを取り出し、範囲外や型違いはデフォルトに戻す
+export function normalizeSettings(data) {
+    const d = DEFAULT_SETTINGS;
+    const num = (v, [min, max], fallback) => Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback;
+    const crosshair = data.crosshair || {};
+    const keybinds = data.keybinds || {};
+
+    const result = {
+        sensitivity: num(data.sensitivity, LIMITS.sensitivity, d.sensitivity),
+        adsSensitivity: num(data.adsSensitivity, LIMITS.adsSensitivity, d.adsSensitivity),
+        rawInput: typeof data.rawInput === 'boolean' ? data.rawInput : d.rawInput,
+        fov: num(data.fov, LIMITS.fov, d.fov),
+        volume: num(data.volume, LIMITS.volume, d.volume),
+        effectsVolume: num(data.effectsVolume, LIMITS.volume, d.effectsVolume),
+        uiVolume: num(data.uiVolume, LIMITS.volume, d.uiVolume),
+        crosshair: {
+            style: CROSSHAIR_STYLES.includes(crosshair.style) ? crosshair.style : d.crosshair.style,
+            color: /^#[0-9a-f]{6}$/i.test(crosshair.color) ? crosshair.color : d.crosshair.color,
+            size: num(crosshair.size, LIMITS.crosshairSize, d.crosshair.size)
+        },
+        keybinds: {}
+    };
+    // 古い設定に無い操作はデフォルトのキー (他で使われているキーは除く、残らなければ未割り当て)
+    const valid = (code) => typeof code === 'string' && code.length > 0 && code.length < 32;
+    const codesOf = (binding) => [...new Set(keyCodes(binding).filter(valid))].slice(0, MAX_KEYS_PER_ACTION);
+    const used = new Set(Object.keys(KEYBIND_ACTIONS).flatMap(a => codesOf(keybinds[a])));
+    for (const action of Object.keys(KEYBIND_ACTIONS)) {
+        let codes = codesOf(keybinds[action]);
+        if (!codes.length) {
+            codes = keyCodes(d.keybinds[action]).filter(code => !used.has(code));
+            for (const code of codes) used.add(code);
+        }
+        result.keybinds[action] = codes.length ? toBinding(codes) : '';
+    }
+    return result;
+}
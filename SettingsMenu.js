@@ -0,0 +1,150 @@
+import { KEYBIND_ACTIONS, keyCodes } from './Settings.js';
+
+// 設定画面 (ロビーのナビと Esc メニューの両方から開く)
+export class SettingsMenu {
+    constructor(settings) {
+        this.settings = settings;
+        this.isOpen = false;
+        this.listeningAction = null;
+        this.onClose = null;
+
+        this.modal = document.getElementById('settings-modal');
+        this.message = document.getElementById('settings-message');
+        this.jsonInput = document.getElementById('settings-json');
+
+        this.initControls();
+        this.initKeybinds();
+        this.settings.onChange((values) => {
+            this.render(values);
+            applyCrosshair(values.crosshair);
+        });
+    }
+
+    initControls() {
+        const bindRange = (id, apply) => {
+            document.getElementById(id).oninput = (e) => apply(Number(e.target.value));
+        };
+        bindRange('set-sensitivity', v => this.settings.update({ sensitivity: v }));
+        bindRange('set-ads', v => this.settings.update({ adsSensitivity: v }));
+        bindRange('set-fov', v => this.settings.update({ fov: v }));
+        bindRange('set-volume', v => this.settings.update({ volume: v }));
+        bindRange('set-effects-volume', v => this.settings.update({ effectsVolume: v }));
+        bindRange('set-ui-volume', v => this.settings.update({ uiVolume: v }));
+        bindRange('set-crosshair-size', v => this.settings.update({ crosshair: { size: v } }));
+        document.getElementById('set-raw-input').onchange = (e) => this.settings.update({ rawInput: e.target.checked });
+        document.getElementById('set-crosshair-style').onchange = (e) => this.settings.update({ crosshair: { style: e.target.value } });
+        document.getElementById('set-crosshair-color').oninput = (e) => this.settings.update({ crosshair: { color: e.target.value } });
+
+        document.getElementById('btn-settings-export').onclick = () => {
+            this.jsonInput.value = this.settings.export();
+            this.jsonInput.select();
+            if (navigator.clipboard) navigator.clipboard.writeText(this.jsonInput.value).catch(() => { });
+            this.showMessage('設定をコピーしました');
+        };
+        document.getElementById('btn-settings-import').onclick = () => {
+            try {
+                this.settings.import(this.jsonInput.value);
+                this.showMessage('設定を読み込みました');
+            } catch (e) {
+                this.showMessage('読み込みに失敗しました: ' + e.message, true);
+            }
+        };
+        document.getElementById('btn-settings-reset').onclick = () => {
+            this.settings.reset();
+            this.showMessage('初期設定に戻しました');
+        };
+        document.getElementById('btn-settings-close').onclick = () => this.close();
+    }
+
+    initKeybinds() {
+        const list = document.getElementById('keybind-list');
+        this.keyButtons = {};
+        for (const [action, label] of Object.entries(KEYBIND_ACTIONS)) {
+            const row = document.createElement('div');
+            row.className = 'keybind-row';
+            const name = document.createElement('span');
+            name.innerText = label;
+            const button = document.createElement('button');
+            button.className = 'btn-val-outline';
+            button.onclick = () => this.listen(action);
+            row.append(name, button);
+            list.appendChild(row);
+            this.keyButtons[action] = button;
+        }
+
+        // 割り当て待ちの間は次のキーを横取りする (Esc で取り消し)
+        window.addEventListener('keydown', (e) => {
+            if (!this.listeningAction) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            const action = this.listeningAction;
+            this.listeningAction = null;
+            if (e.code !== 'Escape') this.settings.bindKey(action, e.code);
+            this.render(this.settings.values);
+        }, { capture: true });
+    }
+
+    listen(action) {
+        this.listeningAction = action;
+        this.render(this.settings.values);
+    }
+
+    render(values) {
+        const setRange = (id, value, text) => {
+            document.getElementById(id).value = value;
+            document.getElementById(`${id}-value`).innerText = text;
+        };
+        setRange('set-sensitivity', values.sensitivity, values.sensitivity.toFixed(2));
+        document.getElementById('set-ads').value = values.adsSensitivity;
+        document.getElementById('set-ads-value').innerText = `x${values.adsSensitivity.toFixed(2)}`;
+        setRange('set-fov', values.fov, values.fov);
+        setRange('set-volume', values.volume, `${Math.round(values.volume * 100)}%`);
+        setRange('set-effects-volume', values.effectsVolume, `${Math.round(values.effectsVolume * 100)}%`);
+        setRange('set-ui-volume', values.uiVolume, `${Math.round(values.uiVolume * 100)}%`);
+        setRange('set-crosshair-size', values.crosshair.size, `${values.crosshair.size}px`);
+        document.getElementById('set-raw-input').checked = values.rawInput;
+        document.getElementById('set-crosshair-style').value = values.crosshair.style;
+        document.getElementById('set-crosshair-color').value = values.crosshair.color;
+
+        for (const [action, button] of Object.entries(this.keyButtons)) {
+            const listening = this.listeningAction === action;
+            button.innerText = listening ? 'キーを押してください' : formatKey(values.keybinds[action]);
+            button.classList.toggle('listening', listening);
+        }
+    }
+
+    showMessage(text, isError = false) {
+        this.message.innerText = text;
+        this.message.classList.toggle('error', isError);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.showMessage('');
+        this.render(this.settings.values);
+        this.modal.style.display = 'flex';
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.listeningAction = null;
+        this.modal.style.display = 'none';
+        if (this.onClose) this.onClose();
+    }
+}
+
+function applyCrosshair({ style, color, size }) {
+    const crosshair = document.getElementById('crosshair');
+    if (!crosshair) return;
+    crosshair.className = style;
+    crosshair.style.setProperty('--crosshair-color', color);
+    crosshair.style.setProperty('--crosshair-size', `${size}px`);
+}
+
+// 'KeyW' → 'W', 'Digit1' → '1' (複数なら ' / ' でつなぐ)
+function formatKey(binding) {
+    const codes = keyCodes(binding);
+    if (!codes.length) return '未割り当て';
+    return codes.map(code => code.replace(/^Key/, '').replace(/^Digit/, '')).join(' / ');
+}
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+export const SPAWN_CONFIG = {
+    protection: 2000,     // ms, 復活直後にダメージを受けない時間 (撃つと解除)
+    safeDistance: 15,     // これより相手に近い地点はなるべく避ける
+    maxDistanceScore: 60, // 距離による加点の上限
+    visiblePenalty: 50,   // 相手から見えている地点の減点
+    jitter: 5             // 毎回同じ地点にならないよう加える揺らぎ
+};
+
+const SIDES = { host: 'A', guest: 'B' };
+
+// マップのスポーン地点 (名前・陣営付き) から出現位置を選ぶ
+export class SpawnManager {
+    constructor(mapLoader, world, config = SPAWN_CONFIG) {
+        this.mapLoader = mapLoader;
+        this.world = world;
+        this.config = config;
+    }
+
+    get spawns() {
+        return this.mapLoader.current ? this.mapLoader.current.spawns : [];
+    }
+
+    find(name) {
+        return this.spawns.find(s => s.name === name) || null;
+    }
+
+    // 試合開始時: ホストは A 側、ゲストは B 側
+    initialSpawn(role) {
+        const spawns = this.spawns;
+        return spawns.find(s => s.side === SIDES[role]) || spawns[role === 'host' ? 0 : 1];
+    }
+
+    // 復活時: 相手の最後の位置 (目線) から遠く、見通せない地点を優先する
+    pickRespawn(enemyEye, eyeHeight) {
+        const candidates = this.spawns.filter(s => !this.isBlocked(s, eyeHeight));
+        if (!candidates.length) return this.spawns[0];
+        if (!enemyEye) return candidates[Math.floor(Math.random() * candidates.length)];
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (const spawn of candidates) {
+            const score = this.scoreSpawn(spawn, enemyEye, eyeHeight) + Math.random() * this.config.jitter;
+            if (score > bestScore) {
+                best = spawn;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    scoreSpawn(spawn, enemyEye, eyeHeight) {
+        const eye = spawnEye(spawn, eyeHeight);
+        const dist = eye.distanceTo(enemyEye);
+
+        let score = Math.min(dist, this.config.maxDistanceScore);
+        if (dist < this.config.safeDistance) score -= this.config.maxDistanceScore;
+        if (this.isVisibleFrom(eye, enemyEye)) score -= this.config.visiblePenalty;
+        return score;
+    }
+
+    isVisibleFrom(eye, from) {
+        const dir = eye.clone().sub(from);
+        const dist = dir.length();
+        if (dist < 0.001) return true;
+        const ray = new THREE.Ray(from, dir.divideScalar(dist));
+        return this.world.intersectRay(ray) >= dist;
+    }
+
+    // 障害物にめり込む地点 (マップの書き間違いなど) は使わない
+    isBlocked(spawn, height) {
+        const feet = new THREE.Vector3().fromArray(spawn.position);
+        const radius = 0.4;
+        return this.world.boxes.some(box =>
+            this.world.overlapsXZ(feet, radius, box) &&
+            box.max.y > feet.y + 0.01 && box.min.y < feet.y + height
+        );
+    }
+
+    // プレイヤーを地点に立たせる (向きもスポーンの yaw に合わせる)
+    place(player, spawn) {
+        const [x, y, z] = spawn.position;
+        player.teleport(x, y, z, spawn.yaw || 0);
+    }
+}
+
+function spawnEye(spawn, eyeHeight) {
+    const [x, y, z] = spawn.position;
+    return new THREE.Vector3(x, y + eyeHeight, z);
+}
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+// タイムスタンプ付きの位置・向きの履歴
+// t は記録したプレイヤー自身の時計 (performance.now) の値
+// rotY = ヨー, rotX = ピッチ
+export class StateHistory {
+    constructor(duration = 1000) {
+        this.duration = duration; // ms
+        this.entries = [];
+    }
+
+    push(t, pos, rotY, rotX = 0) {
+        const last = this.latest();
+        // 順序が逆転したパケットは捨てる
+        if (last && t <= last.t) return;
+
+        this.entries.push({ t, pos: new THREE.Vector3(pos.x, pos.y, pos.z), rotY, rotX });
+        while (this.entries.length > 2 && this.entries[0].t < t - this.duration) {
+            this.entries.shift();
+        }
+    }
+
+    latest() {
+        return this.entries.length ? this.entries[this.entries.length - 1] : null;
+    }
+
+    clear() {
+        this.entries.length = 0;
+    }
+
+    // 時刻 t の状態を前後の記録から補間して返す
+    // 最新より先の時刻は直近の速度で maxExtrapolate (ms) までだけ外挿する
+    sample(t, maxExtrapolate = 0) {
+        const entries = this.entries;
+        if (!entries.length) return null;
+        if (t <= entries[0].t) return blend(t, entries[0], entries[0], 0);
+
+        for (let i = entries.length - 1; i > 0; i--) {
+            const a = entries[i - 1];
+            const b = entries[i];
+            if (t >= a.t && t <= b.t) {
+                return blend(t, a, b, (t - a.t) / (b.t - a.t));
+            }
+        }
+
+        const last = this.latest();
+        const prev = entries[entries.length - 2];
+        const ahead = Math.min(t - last.t, maxExtrapolate);
+        if (!prev || ahead <= 0) return blend(t, last, last, 0);
+
+        return blend(t, prev, last, 1 + ahead / (last.t - prev.t));
+    }
+}
+
+function blend(t, a, b, alpha) {
+    return {
+        t,
+        pos: a.pos.clone().lerp(b.pos, alpha),
+        rotY: lerpAngle(a.rotY, b.rotY, alpha),
+        rotX: a.rotX + (b.rotX - a.rotX) * alpha
+    };
+}
+
+export function lerpAngle(a, b, alpha) {
+    let d = (b - a) % (Math.PI * 2);
+    if (d > Math.PI) d -= Math.PI * 2;
+    if (d < -Math.PI) d += Math.PI * 2;
+    return a + d * alpha;
+}
@@ -0,0 +1,165 @@
+import { downloadJson } from './Format.js';
+
+// 対戦の戦績 (試合ごとの記録と通算)
+// 試合の 1 ラウンド目開始から試合終了までを数え、終了時に localStorage に保存する
+// 途中で抜けた試合は保存しない。練習場の射撃は数えない
+const STORAGE_KEY = 'fps_duel_stats';
+const STATS_VERSION = 1;
+const MAX_HISTORY = 50; // 保存する試合履歴の上限 (通算は全試合分)
+
+// 数える項目
+const COUNTERS = ['shots', 'hits', 'headshots', 'damageDealt', 'damageTaken', 'kills', 'deaths'];
+
+export class StatsTracker {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.current = null;
+        const saved = this.load();
+        this.history = saved.history;   // 新しい順
+        this.lifetime = saved.lifetime;
+        this.renderPanel();
+    }
+
+    // --- Match ---
+    // opponent: 相手の表示名, mode: 'rounds' | 'kills', map: マップ名
+    startMatch({ opponent, mode, map }) {
+        this.current = { startedAt: new Date().toISOString(), opponent, mode, map, ...emptyCounters() };
+    }
+
+    onShot() {
+        if (this.current) this.current.shots++;
+    }
+
+    // hit / death メッセージ (role: 自分の役割)
+    onHit(data, role) {
+        if (!this.current) return;
+        if (data.shooter === role) {
+            this.current.hits++;
+            if (data.zone === 'head') this.current.headshots++;
+            this.current.damageDealt += data.damage;
+        } else if (data.victim === role) {
+            this.current.damageTaken += data.damage;
+        }
+    }
+
+    onDeath(data, role) {
+        if (!this.current) return;
+        if (data.killer === role) this.current.kills++;
+        if (data.victim === role) this.current.deaths++;
+    }
+
+    // 試合終了: result は 'win' | 'loss' | 'draw', score は [自分, 相手]
+    finishMatch(result, score) {
+        if (!this.current) return;
+        const match = { ...this.current, result, score, duration: Math.round((Date.now() - Date.parse(this.current.startedAt)) / 1000) };
+        this.current = null;
+
+        this.history.unshift(match);
+        this.history.length = Math.min(this.history.length, MAX_HISTORY);
+        this.lifetime.matches++;
+        this.lifetime[result === 'win' ? 'wins' : result === 'loss' ? 'losses' : 'draws']++;
+        for (const key of COUNTERS) this.lifetime[key] += match[key];
+        this.save();
+        this.renderPanel();
+    }
+
+    cancelMatch() {
+        this.current = null;
+    }
+
+    // --- Storage ---
+    load() {
+        const empty = { history: [], lifetime: emptyLifetime() };
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!saved || saved.version !== STATS_VERSION || !Array.isArray(saved.history)) return empty;
+            return { history: saved.history, lifetime: { ...emptyLifetime(), ...saved.lifetime } };
+        } catch (e) {
+            console.error('Failed to load stats:', e);
+            return empty;
+        }
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, this.export());
+    }
+
+    export() {
+        return JSON.stringify({ version: STATS_VERSION, lifetime: this.lifetime, history: this.history });
+    }
+
+    download() {
+        downloadJson(this.export(), 'fps_duel_stats');
+    }
+
+    // --- Lobby panel ---
+    renderPanel() {
+        const summary = document.getElementById('stats-lifetime');
+        const list = document.getElementById('stats-history');
+        if (!summary || !list) return;
+
+        const l = this.lifetime;
+        const items = [
+            ['試合数', l.matches],
+            ['勝敗', `${l.wins}勝 ${l.losses}敗${l.draws ? ` ${l.draws}分` : ''}`],
+            ['K/D', formatKd(l)],
+            ['キル / デス', `${l.kills} / ${l.deaths}`],
+            ['命中率', formatRate(l.hits, l.shots)],
+            ['ヘッドショット率', formatRate(l.headshots, l.hits)],
+            ['与ダメージ', Math.round(l.damageDealt)],
+            ['被ダメージ', Math.round(l.damageTaken)]
+        ];
+        summary.innerHTML = '';
+        for (const [label, value] of items) {
+            const item = document.createElement('div');
+            item.className = 'stats-item';
+            const name = document.createElement('span');
+            name.innerText = label;
+            const number = document.createElement('b');
+            number.innerText = value;
+            item.append(name, number);
+            summary.appendChild(item);
+        }
+
+        list.innerHTML = '';
+        if (!this.history.length) {
+            const empty = document.createElement('p');
+            empty.className = 'stats-empty';
+            empty.innerText = 'まだ試合の記録がありません';
+            list.appendChild(empty);
+            return;
+        }
+        for (const match of this.history) {
+            const row = document.createElement('div');
+            row.className = `stats-row ${match.result}`;
+            const result = document.createElement('b');
+            result.innerText = { win: 'VICTORY', loss: 'DEFEAT', draw: 'DRAW' }[match.result];
+            const detail = document.createElement('span');
+            detail.innerText = `${match.score[0]} - ${match.score[1]}  vs ${match.opponent}  ${match.map || ''}`;
+            const numbers = document.createElement('span');
+            numbers.innerText = `K/D ${match.kills}/${match.deaths}  命中率 ${formatRate(match.hits, match.shots)}  HS ${formatRate(match.headshots, match.hits)}  ダメージ ${Math.round(match.damageDealt)}`;
+            const date = document.createElement('span');
+            date.className = 'stats-date';
+            date.innerText = new Date(match.startedAt).toLocaleString();
+            row.append(result, detail, numbers, date);
+            list.appendChild(row);
+        }
+    }
+}
+
+function emptyCounters() {
+    return Object.fromEntries(COUNTERS.map(key => [key, 0]));
+}
+
+function emptyLifetime() {
+    return { matches: 0, wins: 0, losses: 0, draws: 0, ...emptyCounters() };
+}
+
+function formatRate(count, total) {
+    return total ? `${Math.round(count / total * 100)}%` : '-';
+}
+
+// デスが 0 ならキル数をそのまま
+function formatKd({ kills, deaths }) {
+    return (kills / Math.max(1, deaths)).toFixed(2);
+}
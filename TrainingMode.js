@@ -0,0 +1,370 @@
+import * as THREE from 'three';
+import { createPlayerModel } from './PlayerModel.js';
+import { formatClock } from './Format.js';
+
+// 練習場のドリル (エイム練習)
+// 時間はポインターロック中だけ進む (Esc メニューを開いている間は止まる)
+// health: ターゲットの体力, parTime: この秒数より速く倒すとボーナス
+export const DRILLS = {
+    flick: {
+        name: 'フリック',
+        description: '静止したターゲットを素早く撃ち抜く',
+        duration: 30, targets: 3, health: 40, parTime: 1.5
+    },
+    strafe: {
+        name: 'ストレイフ',
+        description: '左右に動くターゲットを狙う',
+        duration: 30, targets: 3, health: 40, parTime: 2.0, speed: 6
+    },
+    tracking: {
+        name: 'トラッキング',
+        description: '不規則に動くボットを追い続ける',
+        duration: 30, targets: 1, health: 400, parTime: 6.0, speed: 9
+    },
+    reaction: {
+        name: '反応速度',
+        description: '現れたターゲットを一瞬で撃つ',
+        duration: 30, targets: 1, health: 1, parTime: 1.0, delay: [0.8, 2.5], lifetime: 1.5
+    }
+};
+
+const STORAGE_KEY = 'fps_duel_training_bests';
+const COUNTDOWN = 3;           // sec
+const KILL_POINTS = 100;       // 1 キルの基本点 (parTime より速ければ最大で倍)
+const TARGET_DISTANCE = [12, 30];
+const TARGET_ANGLE = Math.PI / 4.5; // 正面からの左右の広がり
+const BOT_RANGE = 8;           // トラッキングのボットが左右に動く範囲
+
+export class TrainingMode {
+    constructor(scene, player, spawns, storage = window.localStorage) {
+        this.scene = scene;
+        this.player = player;
+        this.spawns = spawns;
+        this.storage = storage;
+        this.bests = this.loadBests();
+
+        this.state = 'idle'; // idle | countdown | running | finished
+        this.drillId = null;
+        this.targets = [];
+        this.onSelect = null; // (drillId) ドリル選択時 (main.js で設定)
+        this.onLeave = null;
+
+        this.targetGeo = new THREE.CylinderGeometry(0.5, 0.5, 2, 8);
+        this.initUI();
+    }
+
+    get drill() {
+        return DRILLS[this.drillId];
+    }
+
+    initUI() {
+        this.hud = document.getElementById('training-hud');
+        this.results = document.getElementById('training-results');
+        document.getElementById('btn-training-retry').onclick = () => {
+            this.start(this.drillId);
+            this.player.lock();
+        };
+        document.getElementById('btn-training-leave').onclick = () => {
+            if (this.onLeave) this.onLeave();
+        };
+        this.renderMenu();
+    }
+
+    // ロビーのドリル一覧 (自己ベスト付き)
+    renderMenu() {
+        const list = document.getElementById('drill-list');
+        if (!list) return;
+        list.innerHTML = '';
+        for (const [id, drill] of Object.entries(DRILLS)) {
+            const card = document.createElement('div');
+            card.className = 'match-card';
+            const title = document.createElement('h3');
+            title.innerText = drill.name;
+            const desc = document.createElement('p');
+            desc.innerText = `${drill.description} (${drill.duration}秒)`;
+            const best = document.createElement('p');
+            best.className = 'drill-best';
+            const pb = this.bests[id];
+            best.innerText = pb ? `自己ベスト: ${pb.score} (命中率 ${formatPercent(pb.accuracy)})` : '自己ベスト: -';
+            const button = document.createElement('button');
+            button.className = 'btn-val';
+            button.innerText = '開始';
+            button.onclick = () => {
+                if (this.onSelect) this.onSelect(id);
+            };
+            card.append(title, desc, best, button);
+            list.appendChild(card);
+        }
+    }
+
+    start(drillId) {
+        this.stop();
+        this.drillId = drillId;
+        this.state = 'countdown';
+        this.time = -COUNTDOWN;
+        this.stats = { shots: 0, hits: 0, kills: 0, missed: 0, ttkTotal: 0, points: 0 };
+        this.nextSpawn = this.drill.delay ? this.drill.delay[0] : 0;
+
+        // 正面 (スポーンの向き) にターゲットを並べる
+        const spawn = this.spawns.initialSpawn('host');
+        this.spawns.place(this.player, spawn);
+        const [x, y, z] = spawn.position;
+        const yaw = spawn.yaw || 0;
+        this.anchor = {
+            feet: new THREE.Vector3(x, y, z),
+            eye: new THREE.Vector3(x, y + this.player.headHeight, z),
+            forward: new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw)),
+            right: new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw))
+        };
+
+        this.results.style.display = 'none';
+        this.hud.style.display = 'flex';
+        document.getElementById('training-drill').innerText = this.drill.name;
+        this.updateHUD();
+    }
+
+    // ターゲットを片付けて練習をやめる
+    stop() {
+        for (const target of [...this.targets]) this.removeTarget(target);
+        this.state = 'idle';
+        this.hud.style.display = 'none';
+        this.results.style.display = 'none';
+    }
+
+    update(delta) {
+        if (this.state !== 'countdown' && this.state !== 'running') return;
+        if (!this.player.controls.isLocked) return;
+
+        this.time += delta;
+        if (this.state === 'countdown' && this.time >= 0) this.state = 'running';
+        if (this.state === 'running') {
+            if (this.time >= this.drill.duration) {
+                this.finish();
+                return;
+            }
+            this.updateTargets(delta);
+        }
+        this.updateHUD();
+    }
+
+    updateTargets(delta) {
+        const drill = this.drill;
+        for (const target of [...this.targets]) {
+            target.flash = Math.max(0, target.flash - delta);
+            setEmissive(target.mesh, target.flash > 0 ? 2.0 : 0.5);
+
+            if (target.motion === 'strafe') {
+                target.phase += target.speed / target.amplitude * delta;
+                target.mesh.position.copy(target.base).addScaledVector(this.anchor.right, Math.sin(target.phase) * target.amplitude);
+            } else if (target.motion === 'bot') {
+                this.moveBot(target, delta);
+            }
+
+            // 反応速度: 時間内に倒せなければ失敗
+            if (drill.lifetime && this.time - target.spawnedAt > drill.lifetime) {
+                this.stats.missed++;
+                this.removeTarget(target);
+            }
+        }
+
+        if (this.targets.length < drill.targets && this.time >= this.nextSpawn) this.spawnTarget();
+    }
+
+    // 左右にランダムに切り返しながら、常にプレイヤーの方を向く
+    moveBot(target, delta) {
+        target.turnIn -= delta;
+        if (target.turnIn <= 0 || Math.abs(target.offset) > BOT_RANGE) {
+            const away = Math.abs(target.offset) > BOT_RANGE ? -Math.sign(target.offset) : (Math.random() < 0.5 ? -1 : 1);
+            target.velocity = away * this.drill.speed * (0.5 + Math.random() * 0.5);
+            target.turnIn = 0.3 + Math.random() * 0.9;
+        }
+        target.offset += target.velocity * delta;
+        target.mesh.position.copy(target.base).addScaledVector(this.anchor.right, target.offset);
+
+        const eye = this.player.camera.position;
+        target.mesh.rotation.y = Math.atan2(-(eye.x - target.mesh.position.x), -(eye.z - target.mesh.position.z));
+    }
+
+    spawnTarget() {
+        const drill = this.drill;
+        let mesh;
+        const target = { health: drill.health, spawnedAt: this.time, flash: 0, motion: 'static' };
+
+        if (this.drillId === 'tracking') {
+            mesh = createPlayerModel(0xff4655);
+            target.motion = 'bot';
+            target.offset = 0;
+            target.velocity = 0;
+            target.turnIn = 0;
+        } else {
+            mesh = new THREE.Mesh(
+                this.targetGeo,
+                new THREE.MeshStandardMaterial({ color: 0xff4655, emissive: 0xff4655, emissiveIntensity: 0.5 })
+            );
+            if (this.drillId === 'strafe') {
+                target.motion = 'strafe';
+                target.amplitude = 3 + Math.random() * 3;
+                target.speed = drill.speed * (0.6 + Math.random() * 0.6);
+                target.phase = Math.random() * Math.PI * 2;
+            }
+        }
+
+        target.base = this.pickSpot();
+        mesh.position.copy(target.base);
+        mesh.traverse((obj) => {
+            obj.userData.isTarget = true;
+            obj.userData.target = target;
+        });
+        target.mesh = mesh;
+        this.scene.add(mesh);
+        this.targets.push(target);
+
+        // 反応速度は 1 体ずつ、間を空けて出す
+        if (drill.delay) this.nextSpawn = Infinity;
+    }
+
+    // 正面の扇形の中で、障害物に埋まらずプレイヤーから見える地点 (ターゲットの中心)
+    pickSpot() {
+        const world = this.player.world;
+        let spot = null;
+        for (let i = 0; i < 20; i++) {
+            const angle = (Math.random() * 2 - 1) * TARGET_ANGLE;
+            const dist = TARGET_DISTANCE[0] + Math.random() * (TARGET_DISTANCE[1] - TARGET_DISTANCE[0]);
+            const dir = this.anchor.forward.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+            spot = this.anchor.feet.clone().addScaledVector(dir, dist);
+            world.clampToBounds(spot);
+            spot.y = this.anchor.feet.y + 1;
+
+            const blocked = world.boxes.some(box => world.overlapsXZ(spot, 0.6, box) && box.max.y > spot.y - 1 && box.min.y < spot.y + 1);
+            const toSpot = spot.clone().sub(this.anchor.eye);
+            const distance = toSpot.length();
+            const visible = world.intersectRay(new THREE.Ray(this.anchor.eye, toSpot.divideScalar(distance))) >= distance;
+            if (!blocked && visible) break;
+        }
+        return spot;
+    }
+
+    removeTarget(target) {
+        this.scene.remove(target.mesh);
+        target.mesh.traverse((obj) => {
+            if (obj.geometry && obj.geometry !== this.targetGeo) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        this.targets.splice(this.targets.indexOf(target), 1);
+
+        if (this.drill.delay) {
+            const [min, max] = this.drill.delay;
+            this.nextSpawn = this.time + min + Math.random() * (max - min);
+        }
+    }
+
+    // --- Player から呼ばれる ---
+    onShot(pellets) {
+        if (this.state === 'running') this.stats.shots += pellets;
+    }
+
+    onHit(obj, damage) {
+        const target = obj.userData.target;
+        if (this.state !== 'running' || !target || !this.targets.includes(target)) return;
+
+        this.stats.hits++;
+        target.flash = 0.1;
+        target.health -= damage;
+        if (target.health > 0) return;
+
+        const ttk = this.time - target.spawnedAt;
+        this.stats.kills++;
+        this.stats.ttkTotal += ttk;
+        this.stats.points += Math.round(KILL_POINTS * (1 + Math.max(0, 1 - ttk / this.drill.parTime)));
+        window.dispatchEvent(new CustomEvent('kill-notification', { detail: { victim: 'ターゲット' } }));
+        this.removeTarget(target);
+    }
+
+    // --- Scoring ---
+    get accuracy() {
+        return this.stats.shots ? this.stats.hits / this.stats.shots : 0;
+    }
+
+    get averageTtk() {
+        return this.stats.kills ? this.stats.ttkTotal / this.stats.kills : null;
+    }
+
+    // 命中率が低いほど点が減る (乱射対策)
+    get score() {
+        return Math.round(this.stats.points * (0.5 + 0.5 * this.accuracy));
+    }
+
+    finish() {
+        for (const target of [...this.targets]) this.removeTarget(target);
+        this.state = 'finished';
+        this.hud.style.display = 'none';
+
+        const result = {
+            score: this.score,
+            accuracy: this.accuracy,
+            averageTtk: this.averageTtk,
+            kills: this.stats.kills,
+            date: Date.now()
+        };
+        const best = this.bests[this.drillId];
+        const isBest = !best || result.score > best.score;
+        if (isBest) {
+            this.bests[this.drillId] = result;
+            this.saveBests();
+            this.renderMenu();
+        }
+
+        document.getElementById('training-result-drill').innerText = this.drill.name;
+        document.getElementById('training-result-score').innerText = result.score;
+        document.getElementById('training-result-stats').innerText =
+            `キル ${result.kills} / 命中率 ${formatPercent(result.accuracy)} / 平均TTK ${formatTtk(result.averageTtk)}` +
+            (this.stats.missed ? ` / 見逃し ${this.stats.missed}` : '');
+        document.getElementById('training-result-best').innerText = isBest
+            ? '自己ベスト更新!'
+            : `自己ベスト: ${best.score}`;
+        this.results.style.display = 'flex';
+        if (this.player.controls.isLocked) this.player.controls.unlock();
+    }
+
+    updateHUD() {
+        const timer = document.getElementById('training-timer');
+        if (this.state === 'countdown') {
+            timer.innerText = String(Math.ceil(-this.time));
+        } else {
+            const sec = Math.max(0, Math.ceil(this.drill.duration - this.time));
+            timer.innerText = formatClock(sec);
+        }
+        document.getElementById('training-score').innerText = this.score;
+        document.getElementById('training-accuracy').innerText = this.stats.shots ? formatPercent(this.accuracy) : '-';
+        document.getElementById('training-ttk').innerText = formatTtk(this.averageTtk);
+    }
+
+    // --- Personal bests ---
+    loadBests() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (e) {
+            console.error('Failed to load training records:', e);
+            return {};
+        }
+    }
+
+    saveBests() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bests));
+    }
+}
+
+function setEmissive(mesh, intensity) {
+    mesh.traverse((obj) => {
+        if (obj.material && obj.material.emissive) obj.material.emissiveIntensity = intensity;
+    });
+}
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+function formatTtk(seconds) {
+    return seconds === null ? '-' : `${seconds.toFixed(2)}s`;
+}
@@ -0,0 +1,57 @@
+// 体力とシールド
+// シールドが先にダメージを吸収し、一定時間被弾しなければ回復する
+export const VITALS_CONFIG = {
+    maxHealth: 100,
+    maxShield: 50,
+    shieldRegenDelay: 4,   // sec, 最後の被弾からこの時間で回復開始
+    shieldRegenRate: 20    // per sec
+};
+
+export class Vitals {
+    constructor(config = VITALS_CONFIG) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.health = this.config.maxHealth;
+        this.shield = this.config.maxShield;
+        this.lastDamage = -Infinity;
+        this.protectedUntil = 0;
+    }
+
+    get isDead() {
+        return this.health <= 0;
+    }
+
+    // 復活直後の無敵時間 (ms)
+    protect(now, duration) {
+        this.protectedUntil = now + duration;
+    }
+
+    isProtected(now) {
+        return now < this.protectedUntil;
+    }
+
+    // ダメージを適用し、シールドで吸収した量を返す
+    applyDamage(amount, now) {
+        const absorbed = Math.min(this.shield, amount);
+        this.shield -= absorbed;
+        this.health = Math.max(0, this.health - (amount - absorbed));
+        this.lastDamage = now;
+        return absorbed;
+    }
+
+    // ホストから届いた正式な値で上書きする
+    set(health, shield, now) {
+        if (health < this.health || shield < this.shield) this.lastDamage = now;
+        this.health = health;
+        this.shield = shield;
+    }
+
+    update(delta, now) {
+        if (this.isDead || this.shield >= this.config.maxShield) return;
+        if (now - this.lastDamage < this.config.shieldRegenDelay * 1000) return;
+        this.shield = Math.min(this.config.maxShield, this.shield + this.config.shieldRegenRate * delta);
+    }
+}
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+// 武器定義 (データのみ)
+// fireRate: 発/分, reloadTime: 秒, spread: 拡散 (ラジアン), recoil: 連射 n 発目の [横, 縦] ずれ (ラジアン)
+export const WEAPONS = {
+    rifle: {
+        id: 'rifle',
+        name: 'VANDAL',
+        auto: true,
+        fireRate: 600,
+        magazine: 30,
+        reloadTime: 2.2,
+        damage: 20,
+        headshotMultiplier: 2.5,
+        pellets: 1,
+        spread: 0.003,
+        recoil: [
+            [0, 0], [0, 0.006], [0.001, 0.012], [-0.001, 0.018], [0.002, 0.024],
+            [0.004, 0.028], [0.006, 0.031], [0.004, 0.033], [0, 0.034], [-0.005, 0.034],
+            [-0.009, 0.035], [-0.011, 0.035], [-0.008, 0.036], [-0.003, 0.036], [0.003, 0.036],
+            [0.008, 0.037], [0.011, 0.037]
+        ],
+        recoilRecovery: 0.3, // 秒撃たなければ反動パターンが最初に戻る
+        viewKick: 0.004
+    },
+    pistol: {
+        id: 'pistol',
+        name: 'SHERIFF',
+        auto: false,
+        fireRate: 240,
+        magazine: 6,
+        reloadTime: 1.6,
+        damage: 45,
+        headshotMultiplier: 3.0,
+        pellets: 1,
+        spread: 0.002,
+        recoil: [[0, 0], [0, 0.02], [0.004, 0.035]],
+        recoilRecovery: 0.35,
+        viewKick: 0.02
+    },
+    shotgun: {
+        id: 'shotgun',
+        name: 'JUDGE',
+        auto: false,
+        fireRate: 70,
+        magazine: 5,
+        reloadTime: 2.6,
+        damage: 10,
+        headshotMultiplier: 1.5,
+        pellets: 8,
+        spread: 0.06,
+        recoil: [[0, 0]],
+        recoilRecovery: 0.9,
+        viewKick: 0.035
+    }
+};
+
+// 数字キーの割り当て
+export const WEAPON_SLOTS = ['rifle', 'pistol', 'shotgun'];
+
+// 1 発分の弾の向き: 視線 (quaternion) に反動パターン kick [横, 縦] とランダム拡散を加える
+// プレイヤーとボットで同じ撃ち方になるよう、両方ここで作る
+export function shotDirections(def, kick, quaternion) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+    const dirs = [];
+    for (let i = 0; i < def.pellets; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const radius = Math.sqrt(Math.random()) * def.spread;
+        dirs.push(forward.clone()
+            .addScaledVector(right, kick[0] + Math.cos(angle) * radius)
+            .addScaledVector(up, kick[1] + Math.sin(angle) * radius)
+            .normalize());
+    }
+    return dirs;
+}
+
+// 所持中の武器ごとの状態 (弾数・リロード・連射数)
+export class Weapon {
+    constructor(def) {
+        this.def = def;
+        this.ammo = def.magazine;
+        this.lastShot = -Infinity;
+        this.reloadEnd = 0;
+        this.burst = 0;
+    }
+
+    get isReloading() {
+        return this.reloadEnd > 0;
+    }
+
+    canFire(now) {
+        return !this.isReloading && this.ammo > 0 && now - this.lastShot >= 60000 / this.def.fireRate;
+    }
+
+    // 1 発撃ち、この発の反動 [横, 縦] を返す
+    fire(now) {
+        if (now - this.lastShot > this.def.recoilRecovery * 1000) this.burst = 0;
+        const pattern = this.def.recoil;
+        const kick = pattern[Math.min(this.burst, pattern.length - 1)];
+
+        this.ammo--;
+        this.lastShot = now;
+        this.burst++;
+        return kick;
+    }
+
+    startReload(now) {
+        if (this.isReloading || this.ammo === this.def.magazine) return false;
+        this.reloadEnd = now + this.def.reloadTime * 1000;
+        return true;
+    }
+
+    cancelReload() {
+        this.reloadEnd = 0;
+    }
+
+    update(now) {
+        if (this.isReloading && now >= this.reloadEnd) {
+            this.ammo = this.def.magazine;
+            this.reloadEnd = 0;
+            this.burst = 0;
+        }
+    }
+}
@@ -1,12 +1,33 @@
 import * as THREE from 'three';
 import { Player } from './Player.js';
 import { NetworkManager } from './NetworkManager.js';
+import { CollisionWorld } from './CollisionWorld.js';
+import { MatchManager } from './MatchManager.js';
+import { Killcam } from './Killcam.js';
+import { ReplayRecorder, parseReplay } from './ReplayRecorder.js';
+import { ReplayViewer } from './ReplayViewer.js';
+import { MapLoader } from './MapLoader.js';
+import { SpawnManager } from './SpawnManager.js';
+import { MAPS, findMap } from './maps/index.js';
+import { Settings } from './Settings.js';
+import { SettingsMenu } from './SettingsMenu.js';
+import { Matchmaker } from './Matchmaker.js';
+import { TrainingMode } from './TrainingMode.js';
+import { Bot, BOT_DIFFICULTY } from './Bot.js';
+import { AudioManager } from './AudioManager.js';
+import { DamageFeedback } from './DamageFeedback.js';
+import { StatsTracker } from './StatsTracker.js';
+import { Chat } from './Chat.js';
 
 // --- Error Logger ---
 const reportError = (msg) => {
     const display = document.getElementById('error-display');
     if (display) {
-        display.innerHTML += `<div style="padding:10px; border-bottom:1px solid red; background:rgba(15, 25, 35, 0.9); font-size:12px; color:#ff4655;">[SYSTEM] ${msg}</div>`;
+        // エラー文に相手由来の文字列が混ざっても HTML として解釈しない
+        const line = document.createElement('div');
+        line.style.cssText = 'padding:10px; border-bottom:1px solid red; background:rgba(15, 25, 35, 0.9); font-size:12px; color:#ff4655;';
+        line.innerText = `[SYSTEM] ${msg}`;
+        display.appendChild(line);
     }
 };
 
@@ -46,7 +67,8 @@ window.addEventListener('keydown', (e) => {
 
 // --- Game Logic ---
 let scene, camera, renderer, clock;
-let player, network;
+let player, network, match, killcam, recorder, replayViewer, mapLoader, spawns, settings, settingsMenu, matchmaker, training, audio, stats, chat;
+const world = new CollisionWorld();
 let isGameStarted = false;
 
 // DOM Elements
@@ -58,9 +80,15 @@ const lobbyContent = document.getElementById('lobby-content');
 const navHome = document.getElementById('nav-home');
 const navPractice = document.getElementById('nav-practice');
 const navMatch = document.getElementById('nav-match');
+const navStats = document.getElementById('nav-stats');
+const navReplay = document.getElementById('nav-replay');
+const navSettings = document.getElementById('nav-settings');
 
 const homePanel = document.getElementById('home-panel');
 const matchPanel = document.getElementById('match-panel');
+const practicePanel = document.getElementById('practice-panel');
+const statsPanel = document.getElementById('stats-panel');
+const replayPanel = document.getElementById('replay-panel');
 
 async function init() {
     console.log("Initializing Val-Style Game...");
@@ -70,8 +98,6 @@ async function init() {
         if (!container) throw new Error("Container missing");
 
         scene = new THREE.Scene();
-        scene.background = new THREE.Color(0x06080a);
-        scene.fog = new THREE.Fog(0x06080a, 20, 150);
 
         camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 2000);
         camera.position.set(20, 20, 20);
@@ -85,18 +111,6 @@ async function init() {
 
         clock = new THREE.Clock();
 
-        // Environment
-        const ambient = new THREE.AmbientLight(0xffffff, 0.4);
-        scene.add(ambient);
-
-        const directional = new THREE.DirectionalLight(0xff4655, 1.5);
-        directional.position.set(15, 30, 10);
-        scene.add(directional);
-
-        const pointLight = new THREE.PointLight(0x00f2ff, 1.5, 100);
-        pointLight.position.set(0, 10, 0);
-        scene.add(pointLight);
-
         // Lobby Particles
         const particleGeo = new THREE.BufferGeometry();
         const particleCount = 200;
@@ -110,43 +124,52 @@ async function init() {
         scene.add(particles);
         window.lobbyParticles = particles;
 
-        // Ground (Valorant style grid)
-        const groundGeo = new THREE.PlaneGeometry(500, 500);
-        const groundMat = new THREE.MeshStandardMaterial({
-            color: 0x10151a,
-            roughness: 0.9,
-            metalness: 0.1
-        });
-        const ground = new THREE.Mesh(groundGeo, groundMat);
-        ground.rotation.x = -Math.PI / 2;
-        scene.add(ground);
-
-        const grid = new THREE.GridHelper(200, 40, 0xff4655, 0x1a1a1a);
-        grid.position.y = 0.02;
-        scene.add(grid);
-
-        // Visual Boundary (Wall of lights)
-        const boundGeo = new THREE.CylinderGeometry(100, 100, 10, 64, 1, true);
-        const boundMat = new THREE.MeshBasicMaterial({
-            color: 0xff4655,
-            transparent: true,
-            opacity: 0.1,
-            side: THREE.BackSide,
-            wireframe: true
-        });
-        const boundary = new THREE.Mesh(boundGeo, boundMat);
-        boundary.position.y = 5;
-        scene.add(boundary);
-
-        // Map obstacles (Abstract shapes)
-        addObstacle(10, 5, -10, 4, 10, 4);
-        addObstacle(-15, 2, 5, 6, 4, 10);
-        addObstacle(0, 3, -15, 8, 6, 2);
+        // Map (lights, ground, boundary, obstacles)
+        mapLoader = new MapLoader(scene, world);
+        mapLoader.load(MAPS[0]);
+        spawns = new SpawnManager(mapLoader, world);
 
         // Player & Network
+        audio = new AudioManager();
         player = new Player(camera, renderer.domElement, scene);
+        player.world = world;
+        player.audio = audio;
         network = new NetworkManager(scene, player);
         player.network = network;
+        match = new MatchManager(network, player);
+        network.match = match;
+        matchmaker = new Matchmaker(network);
+        killcam = new Killcam(scene, player, network);
+        network.killcam = killcam;
+        recorder = new ReplayRecorder();
+        network.recorder = recorder;
+        network.mapLoader = mapLoader;
+        network.spawns = spawns;
+        network.feedback = new DamageFeedback(camera);
+        stats = new StatsTracker();
+        network.stats = stats;
+        player.stats = stats;
+        chat = new Chat(network, player);
+        network.chat = chat;
+        player.recorder = recorder;
+        training = new TrainingMode(scene, player, spawns);
+        training.onLeave = leaveSession;
+        player.training = training;
+        replayViewer = new ReplayViewer(scene, camera, renderer, player, mapLoader);
+        replayViewer.onExit = () => {
+            topNav.style.display = 'flex';
+            lobbyContent.style.display = 'flex';
+        };
+        match.onLeave = leaveSession;
+        document.getElementById('btn-connection-leave').onclick = leaveSession;
+
+        // 設定 (保存済みの値を反映)
+        settings = new Settings();
+        settingsMenu = new SettingsMenu(settings);
+        settings.onChange((values) => {
+            player.applySettings(values);
+            audio.applySettings(values);
+        });
 
         window.addEventListener('resize', onWindowResize);
 
@@ -158,14 +181,6 @@ async function init() {
     }
 }
 
-function addObstacle(x, y, z, sx, sy, sz) {
-    const geo = new THREE.BoxGeometry(sx, sy, sz);
-    const mat = new THREE.MeshStandardMaterial({ color: 0x1f2326, emissive: 0xff4655, emissiveIntensity: 0.1 });
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(x, y, z);
-    scene.add(mesh);
-}
-
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -178,6 +193,15 @@ function animate() {
 
     if (isGameStarted) {
         player.update(delta);
+        network.update(delta);
+        match.update();
+        training.update(delta);
+        killcam.update(delta);
+        network.feedback.update(delta);
+        chat.update();
+        audio.updateListener(camera);
+    } else if (replayViewer.isActive) {
+        replayViewer.update(delta);
     } else {
         // Dramatic Lobby Camera
         const time = Date.now() * 0.0004;
@@ -196,19 +220,7 @@ function animate() {
 
 // --- UI Logic ---
 function setupUIListeners() {
-    const playHoverSound = () => {
-        if (!player || !player.audioCtx) return;
-        const o = player.audioCtx.createOscillator();
-        const g = player.audioCtx.createGain();
-        o.type = 'sine';
-        o.frequency.setValueAtTime(440, player.audioCtx.currentTime);
-        g.gain.setValueAtTime(0.02, player.audioCtx.currentTime);
-        g.gain.exponentialRampToValueAtTime(0.001, player.audioCtx.currentTime + 0.05);
-        o.connect(g);
-        g.connect(player.audioCtx.destination);
-        o.start();
-        o.stop(player.audioCtx.currentTime + 0.05);
-    };
+    const playHoverSound = () => audio.play('hover', { bus: 'ui' });
 
     // Add hover to all nav and primary buttons
     document.querySelectorAll('button').forEach(btn => {
@@ -219,55 +231,125 @@ function setupUIListeners() {
         const feed = document.getElementById('kill-feed');
         if (!feed) return;
         const item = document.createElement('div');
-        item.className = 'kill-item';
+        item.className = e.detail.headshot ? 'kill-item headshot' : 'kill-item';
         item.innerText = `YOU KILLED ${e.detail.victim}`;
+        if (e.detail.headshot) {
+            const badge = document.createElement('span');
+            badge.className = 'headshot-badge';
+            badge.innerText = 'HEADSHOT';
+            item.appendChild(badge);
+        }
         feed.appendChild(item);
         setTimeout(() => item.remove(), 3000);
     });
 
     const switchPanel = (panelId) => {
-        [homePanel, matchPanel].forEach(p => p.classList.remove('active'));
-        [navHome, navPractice, navMatch].forEach(b => b.classList.remove('active'));
+        [homePanel, practicePanel, matchPanel, statsPanel, replayPanel].forEach(p => p.classList.remove('active'));
+        [navHome, navPractice, navMatch, navStats, navReplay].forEach(b => b.classList.remove('active'));
 
         if (panelId === 'home') {
             homePanel.classList.add('active');
             navHome.classList.add('active');
+        } else if (panelId === 'practice') {
+            practicePanel.classList.add('active');
+            navPractice.classList.add('active');
         } else if (panelId === 'match') {
             matchPanel.classList.add('active');
             navMatch.classList.add('active');
+        } else if (panelId === 'stats') {
+            statsPanel.classList.add('active');
+            navStats.classList.add('active');
+        } else if (panelId === 'replay') {
+            replayPanel.classList.add('active');
+            navReplay.classList.add('active');
         }
     };
 
+    navSettings.onclick = () => settingsMenu.open();
+
+    // Esc (ポインターロック解除) で開くメニュー
+    const pauseMenu = document.getElementById('pause-menu');
+    player.controls.addEventListener('unlock', () => {
+        chat.close();
+        if (isGameStarted && match.state !== 'matchEnd' && training.state !== 'finished') pauseMenu.style.display = 'flex';
+    });
+    player.controls.addEventListener('lock', () => {
+        pauseMenu.style.display = 'none';
+        settingsMenu.close();
+    });
+    document.getElementById('btn-resume').onclick = () => player.lock();
+    document.getElementById('btn-pause-settings').onclick = () => settingsMenu.open();
+    document.getElementById('btn-pause-leave').onclick = leaveSession;
+
     navHome.onclick = () => switchPanel('home');
     navMatch.onclick = () => switchPanel('match');
+    navStats.onclick = () => switchPanel('stats');
+    navReplay.onclick = () => switchPanel('replay');
+    document.getElementById('btn-stats-export').onclick = () => stats.download();
+
+    document.getElementById('btn-open-replay').onclick = async () => {
+        const file = document.getElementById('replay-file-input').files[0];
+        const errorMsg = document.getElementById('replay-error');
+        errorMsg.innerText = '';
+        if (!file) return errorMsg.innerText = 'リプレイファイルを選択してください';
+
+        try {
+            replayViewer.open(parseReplay(await file.text()));
+            topNav.style.display = 'none';
+            lobbyContent.style.display = 'none';
+        } catch (e) {
+            errorMsg.innerText = '読み込みに失敗しました: ' + e.message;
+        }
+    };
 
-    navPractice.onclick = () => {
+    navPractice.onclick = () => switchPanel('practice');
+    training.onSelect = (drillId) => {
         startSession();
-        addPracticeTargets();
+        training.start(drillId);
     };
 
+    // マップ選択 (ホストの選択が相手にも送られる)
+    const mapSelect = document.getElementById('map-select');
+    MAPS.forEach(m => {
+        const option = document.createElement('option');
+        option.value = m.id;
+        option.innerText = m.name;
+        mapSelect.appendChild(option);
+    });
+    mapSelect.onchange = () => mapLoader.load(findMap(mapSelect.value));
+
     document.getElementById('btn-quick-play').onclick = () => {
         switchPanel('match');
     };
 
     document.getElementById('btn-random-match').onclick = () => {
         startSession();
-        const lobbyId = "VAL_DUEL_LOBBY";
-        network.joinRoom("Agent_" + Math.floor(Math.random() * 100), lobbyId, () => {
-            statusMsg.innerText = "試合開始";
-        });
-        setTimeout(() => {
-            if (!network.conn) network.createRoom(lobbyId, () => {
-                statusMsg.innerText = "対戦相手待機中...";
-            });
-        }, 3000);
+        matchmaker.start((text) => statusMsg.innerText = text);
+    };
+
+    // ボット対戦 (自分がホストになり、ボットがゲストの代わりをする)
+    const botDifficulty = document.getElementById('bot-difficulty');
+    Object.entries(BOT_DIFFICULTY).forEach(([id, d]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.innerText = d.name;
+        option.selected = id === 'normal';
+        botDifficulty.appendChild(option);
+    });
+    document.getElementById('btn-bot-match').onclick = () => {
+        startSession();
+        network.startBot(new Bot(network, botDifficulty.value));
     };
 
     document.getElementById('btn-create-room').onclick = () => {
         const id = document.getElementById('target-id-input').value || "ROOM_" + Math.floor(Math.random() * 1000);
         startSession();
+        chat.enable(true);
         network.createRoom(id, (myId) => {
             statusMsg.innerText = "ルーム作成完了: " + myId;
+        }, (reason) => {
+            leaveSession();
+            statusMsg.innerText = "ルームを作成できませんでした: " + reason;
         });
     };
 
@@ -275,8 +357,13 @@ function setupUIListeners() {
         const id = document.getElementById('target-id-input').value;
         if (!id) return statusMsg.innerText = "IDを入力してください";
         startSession();
-        network.joinRoom("Challenger", id, () => {
+        chat.enable();
+        statusMsg.innerText = "接続中...";
+        network.joinRoom(null, id, () => {
             statusMsg.innerText = "接続完了";
+        }, (reason) => {
+            leaveSession();
+            statusMsg.innerText = "接続できませんでした: " + reason;
         });
     };
 }
@@ -288,10 +375,32 @@ function startSession() {
     lobbyContent.style.display = 'none';
     hud.style.display = 'block';
 
-    // Switch to FPS view
-    camera.position.set(0, 1.7, 0);
-    camera.rotation.set(0, 0, 0);
-    if (player.controls) player.controls.lock();
+    // Switch to FPS view (出現位置は役割が決まった時に NetworkManager・TrainingMode が決める)
+    if (player.controls) player.lock();
+}
+
+// 接続と試合を片付けてロビーに戻る (そのまま次の試合を始められる)
+function leaveSession() {
+    isGameStarted = false;
+    matchmaker.cancel();
+    network.teardown();
+    match.reset();
+    killcam.stop();
+    recorder.stop();
+    training.stop();
+    stats.cancelMatch();
+    chat.reset();
+
+    player.isActive = false;
+    player.isFrozen = false;
+    if (player.controls.isLocked) player.controls.unlock();
+    document.getElementById('pause-menu').style.display = 'none';
+    settingsMenu.close();
+
+    hud.style.display = 'none';
+    topNav.style.display = 'flex';
+    lobbyContent.style.display = 'flex';
+    statusMsg.innerText = '';
 }
 
 window.addEventListener('beforeunload', (event) => {
@@ -301,17 +410,4 @@ window.addEventListener('beforeunload', (event) => {
     }
 });
 
-function addPracticeTargets() {
-    for (let i = 0; i < 12; i++) {
-        const target = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.5, 0.5, 2, 8),
-            new THREE.MeshStandardMaterial({ color: 0xff4655, emissive: 0xff4655, emissiveIntensity: 0.5 })
-        );
-        target.position.set((Math.random() - 0.5) * 60, 1, -20 - Math.random() * 40);
-        target.userData.isTarget = true;
-        target.userData.health = 100;
-        scene.add(target);
-    }
-}
-
 init();
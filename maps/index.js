@@ -0,0 +1,10 @@
+import arena from './arena.json';
+import crossfire from './crossfire.json';
+import pillars from './pillars.json';
+
+// 組み込みマップ (先頭がデフォルト)
+export const MAPS = [arena, crossfire, pillars];
+
+export function findMap(id) {
+    return MAPS.find(m => m.id === id) || MAPS[0];
+}